@@ -0,0 +1,79 @@
+/**
+ * Author Registry
+ * Resolves the author keys used in posts against data/authors.json
+ */
+
+class AuthorRegistry {
+  constructor(authors = {}) {
+    this.authors = authors;
+  }
+
+  // Shared, cached registry - a failed request leaves posts with their raw author key
+  static load(url = 'data/authors.json') {
+    if (!AuthorRegistry.loading) {
+      AuthorRegistry.loading = utils.fetchJSON(url)
+        .then(data => new AuthorRegistry((data && data.authors) || {}))
+        .catch(error => {
+          console.error('Error loading authors:', error);
+          return new AuthorRegistry();
+        });
+    }
+
+    return AuthorRegistry.loading;
+  }
+
+  // Blog listing filtered to one author
+  static getArchiveUrl(key) {
+    return `blog.html?author=${encodeURIComponent(key)}`;
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.authors, key);
+  }
+
+  // Unknown keys fall back to the key as display name
+  get(key) {
+    const author = this.has(key) ? this.authors[key] : {};
+
+    return {
+      key,
+      name: author.name || key,
+      bio: author.bio || '',
+      avatar: author.avatar || null,
+      links: author.links || []
+    };
+  }
+
+  /**
+   * Author card markup for post headers and the author archive
+   * Mirrors renderAuthorCard in scripts/prerender-posts.js
+   */
+  createCardHtml(key, { byline = false } = {}) {
+    const author = this.get(key);
+    const nameHtml = `<a href="${utils.escapeHtml(AuthorRegistry.getArchiveUrl(author.key))}" class="author-name">${utils.escapeHtml(author.name)}</a>`;
+
+    const avatarHtml = author.avatar
+      ? `<img src="${utils.escapeHtml(utils.sanitizeUrl(author.avatar))}" alt="${utils.escapeHtml(author.name)}" class="author-avatar">`
+      : '';
+
+    const linksHtml = author.links.length
+      ? `<ul class="author-links">${author.links.map(link =>
+        `<li><a href="${utils.escapeHtml(utils.sanitizeUrl(link.url))}">${utils.escapeHtml(link.label)}</a></li>`
+      ).join('')}</ul>`
+      : '';
+
+    return `
+      ${avatarHtml}
+      <div class="author-info">
+        <span>${byline ? 'von ' : ''}${nameHtml}</span>
+        ${author.bio ? `<p class="author-bio">${utils.escapeHtml(author.bio)}</p>` : ''}
+        ${linksHtml}
+      </div>
+    `;
+  }
+}
+
+AuthorRegistry.loading = null;
+
+// Export class
+window.AuthorRegistry = AuthorRegistry;
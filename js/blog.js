@@ -8,6 +8,7 @@ class BlogSystem {
     this.containerSelector = options.container || '#blog-grid';
     this.container = document.querySelector(this.containerSelector);
     this.postsUrl = options.postsUrl || 'data/posts.json';
+    this.repository = PostRepository.shared(this.postsUrl);
     this.postsPerPage = options.postsPerPage || 9;
     this.isPreview = options.isPreview || false;
     this.previewCount = options.previewCount || 3;
@@ -15,46 +16,109 @@ class BlogSystem {
     this.posts = [];
     this.filteredPosts = [];
     this.currentFilter = 'all';
+    this.currentTag = null;
+    this.currentAuthor = null;
+    this.currentView = 'list';
+    this.currentSort = 'newest';
+    this.stats = new Map();
+    this.authors = null;
+    this.searchQuery = '';
+    this.searchIndex = null;
+    this.searchContentLoading = null;
     this.currentPage = 1;
     this.isLoading = false;
 
-    if (this.container) {
+    // autoInit: false only borrows the card rendering (e.g. related posts)
+    if (this.container && options.autoInit !== false) {
       this.init();
     }
   }
 
+  // Canonical link to a single post - the prerendered page, id only as fallback
+  static getPostUrl(post) {
+    // Drafts have no prerendered page
+    if (post.slug && post.status === 'draft') {
+      return `blog-post.html?post=${encodeURIComponent(post.slug)}`;
+    }
+
+    return post.slug
+      ? `blog/${encodeURIComponent(post.slug)}/`
+      : `blog-post.html?id=${encodeURIComponent(post.id)}`;
+  }
+
+  // Series name as declared by its parts, slug as fallback
+  static getSeriesTitle(parts) {
+    const titled = parts.find(part => part.series.title);
+    return titled ? titled.series.title : parts[0].series.slug;
+  }
+
+  // Stored read time, or an estimate from the post text
+  static getReadTime(post) {
+    if (post.readTime) return post.readTime;
+
+    const text = (post.content || post.excerpt || '').replace(/<[^>]+>/g, ' ');
+    return utils.calculateReadTime(text);
+  }
+
+  // Category and tag names as used in filters and URLs ("Web Development" -> "web-development")
+  static toFilterSlug(value) {
+    return String(value).toLowerCase().replace(/\s+/g, '-');
+  }
+
+  // Clickable tag chip that filters the blog listing
+  static createTagLink(tag, labelHtml = utils.escapeHtml(tag)) {
+    const slug = BlogSystem.toFilterSlug(tag);
+    const href = `blog.html?tag=${encodeURIComponent(slug)}`;
+    return `<a href="${utils.escapeHtml(href)}" class="tag" data-tag="${utils.escapeHtml(slug)}">${labelHtml}</a>`;
+  }
+
   async init() {
     this.showLoading();
     await this.loadPosts();
+    await this.loadStats();
     this.setupFilters();
+    this.setupViewToggle();
+    this.setupSort();
+    this.setupSearch();
+    this.setupTagLinks();
     this.setupLoadMore();
-    this.render();
+
+    if (this.isPreview) {
+      this.render();
+      return;
+    }
+
+    this.authors = await AuthorRegistry.load();
+    this.setupHistory();
+
+    const state = this.readStateFromUrl();
+    if (state.query) await this.loadSearchContent();
+    this.applyState(state);
+    this.restoreScrollPosition();
   }
 
   async loadPosts() {
     try {
-      const data = await utils.fetchJSON(this.postsUrl);
-      if (data && data.posts) {
-        this.posts = data.posts.sort((a, b) => new Date(b.date) - new Date(a.date));
-        this.filteredPosts = [...this.posts];
-      }
+      this.posts = await this.repository.listed();
+      this.filteredPosts = [...this.posts];
     } catch (error) {
       console.error('Error loading blog posts:', error);
       this.showError('Fehler beim Laden der Blog-Beiträge.');
     }
   }
 
+  // View and reaction counts for the cards and the "Beliebteste" order
+  async loadStats() {
+    if (!window.PostStats || this.posts.length === 0) return;
+    this.stats = await PostStats.shared().getAll(this.posts);
+  }
+
   setupFilters() {
     const filterButtons = document.querySelectorAll('.filter-btn[data-filter]');
 
     filterButtons.forEach(btn => {
       btn.addEventListener('click', () => {
-        const filter = btn.dataset.filter;
-        this.setFilter(filter);
-
-        // Update active state
-        filterButtons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+        this.setFilter(btn.dataset.filter);
       });
     });
   }
@@ -62,17 +126,226 @@ class BlogSystem {
   setFilter(filter) {
     this.currentFilter = filter;
     this.currentPage = 1;
+    this.applyFilters();
+    this.render();
+    this.updateFilterUI();
+    this.updateUrl();
+  }
 
-    if (filter === 'all') {
-      this.filteredPosts = [...this.posts];
-    } else {
-      this.filteredPosts = this.posts.filter(post =>
-        post.category.toLowerCase().replace(/\s+/g, '-') === filter ||
-        post.tags.some(tag => tag.toLowerCase().replace(/\s+/g, '-') === filter)
-      );
+  // Switch between the date-sorted list and the series overview
+  setupViewToggle() {
+    document.querySelectorAll('.filter-btn[data-view]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.setView(btn.dataset.view);
+      });
+    });
+  }
+
+  setView(view) {
+    this.currentView = view === 'series' ? 'series' : 'list';
+    this.currentPage = 1;
+    this.render();
+    this.updateFilterUI();
+    this.updateUrl();
+  }
+
+  // Newest first or by views and reactions
+  setupSort() {
+    document.querySelectorAll('.filter-btn[data-sort]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.setSort(btn.dataset.sort);
+      });
+    });
+  }
+
+  setSort(sort) {
+    this.currentSort = sort === 'popular' ? 'popular' : 'newest';
+    this.currentPage = 1;
+    this.applyFilters();
+    this.render();
+    this.updateFilterUI();
+    this.updateUrl();
+  }
+
+  setTag(tag) {
+    this.currentTag = tag || null;
+    this.currentPage = 1;
+    this.applyFilters();
+    this.render();
+    this.updateFilterUI();
+    this.updateUrl();
+  }
+
+  // Author archive - all posts by one author
+  setAuthor(author) {
+    this.currentAuthor = author || null;
+    this.currentPage = 1;
+    this.applyFilters();
+    this.render();
+    this.updateFilterUI();
+    this.updateUrl();
+  }
+
+  // Tag chips link to blog.html?tag=... - filter in place instead of reloading
+  setupTagLinks() {
+    if (this.isPreview) return;
+
+    this.container.addEventListener('click', (e) => {
+      const tagLink = e.target.closest('a.tag[data-tag]');
+      if (!tagLink || e.metaKey || e.ctrlKey || e.shiftKey) return;
+
+      e.preventDefault();
+      this.setTag(tagLink.dataset.tag);
+      utils.scrollToElement('.blog-header', 0);
+    });
+
+    document.querySelector('#active-tag-clear')?.addEventListener('click', () => {
+      this.setTag(null);
+    });
+
+    document.querySelector('#author-profile-clear')?.addEventListener('click', () => {
+      this.setAuthor(null);
+    });
+  }
+
+  // Reflect the current filter state in buttons, search input and tag chip
+  updateFilterUI() {
+    document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.filter === this.currentFilter);
+    });
+
+    document.querySelectorAll('.filter-btn[data-view]').forEach(btn => {
+      const isActive = btn.dataset.view === this.currentView;
+      btn.classList.toggle('active', isActive);
+      btn.setAttribute('aria-pressed', String(isActive));
+    });
+
+    document.querySelectorAll('.filter-btn[data-sort]').forEach(btn => {
+      const isActive = btn.dataset.sort === this.currentSort;
+      btn.classList.toggle('active', isActive);
+      btn.setAttribute('aria-pressed', String(isActive));
+    });
+
+    const searchInput = document.querySelector('#blog-search');
+    if (searchInput && searchInput.value.trim() !== this.searchQuery) {
+      searchInput.value = this.searchQuery;
+    }
+
+    const activeTag = document.querySelector('#active-tag');
+    if (activeTag) {
+      activeTag.hidden = !this.currentTag;
+      const label = activeTag.querySelector('.active-tag-name');
+      if (label) label.textContent = this.currentTag ? `#${this.currentTag}` : '';
+    }
+
+    this.updateAuthorProfile();
+  }
+
+  // Author card above the listing while the archive of one author is shown
+  updateAuthorProfile() {
+    const profile = document.querySelector('#author-profile');
+    if (!profile) return;
+
+    profile.hidden = !this.currentAuthor;
+
+    const card = profile.querySelector('.author-card');
+    if (!card || !this.currentAuthor || !this.authors) return;
+
+    card.innerHTML = utils.sanitizeHtml(this.authors.createCardHtml(this.currentAuthor));
+    card.querySelector('.author-avatar')?.addEventListener('error', function() {
+      this.style.display = 'none';
+    });
+  }
+
+  setupSearch() {
+    const searchInput = document.querySelector('#blog-search');
+    if (!searchInput || !window.BlogSearch) return;
+
+    this.searchIndex = new BlogSearch(this.posts);
+
+    // Start loading the post bodies as soon as the reader heads for the search box
+    searchInput.addEventListener('focus', () => this.loadSearchContent(), { once: true });
+
+    searchInput.addEventListener('input', utils.debounce(async () => {
+      await this.loadSearchContent();
+      this.setQuery(searchInput.value);
+    }, 200));
+  }
+
+  // The post index has no content - rebuild the search index once the bodies are loaded
+  loadSearchContent() {
+    if (!this.searchIndex) return Promise.resolve();
+
+    if (!this.searchContentLoading) {
+      this.searchContentLoading = this.repository.searchTexts()
+        .then(texts => {
+          this.searchIndex = new BlogSearch(this.posts.map(post => texts.has(post.id)
+            ? { ...post, content: texts.get(post.id) }
+            : post
+          ));
+        })
+        .catch(error => {
+          console.error('Error loading search content:', error);
+        });
     }
 
+    return this.searchContentLoading;
+  }
+
+  setQuery(query) {
+    this.searchQuery = query.trim();
+    this.currentPage = 1;
+    this.applyFilters();
     this.render();
+    // Typing replaces the history entry instead of adding one per keystroke
+    this.updateUrl({ replace: true });
+  }
+
+  // Combine category filter, tag and search query into filteredPosts
+  applyFilters() {
+    const filter = this.currentFilter;
+    const tag = this.currentTag;
+    const author = this.currentAuthor;
+    const toSlug = BlogSystem.toFilterSlug;
+
+    const matchesFilter = post =>
+      (filter === 'all' ||
+        toSlug(post.category) === filter ||
+        post.tags.some(postTag => toSlug(postTag) === filter)) &&
+      (!tag || post.tags.some(postTag => toSlug(postTag) === tag)) &&
+      (!author || post.author === author);
+
+    if (this.searchQuery && this.searchIndex) {
+      // Search results are ranked by relevance instead of date
+      this.filteredPosts = this.searchIndex.search(this.searchQuery)
+        .map(result => result.post)
+        .filter(matchesFilter);
+    } else {
+      this.filteredPosts = this.posts.filter(matchesFilter);
+    }
+
+    // Most viewed and reacted first - sort is stable, so ties keep their order
+    if (this.currentSort === 'popular') {
+      const popularity = post => PostStats.popularity(this.stats.get(PostStats.key(post)));
+      this.filteredPosts.sort((a, b) => popularity(b) - popularity(a));
+    }
+
+    this.updateSearchStatus();
+  }
+
+  updateSearchStatus() {
+    const statusEl = document.querySelector('#search-status');
+    if (!statusEl) return;
+
+    if (!this.searchQuery) {
+      statusEl.textContent = '';
+      return;
+    }
+
+    const count = this.filteredPosts.length;
+    statusEl.textContent = count === 1
+      ? `1 Beitrag für „${this.searchQuery}“ gefunden.`
+      : `${count} Beiträge für „${this.searchQuery}“ gefunden.`;
   }
 
   setupLoadMore() {
@@ -83,13 +356,122 @@ class BlogSystem {
       loadMoreBtn.addEventListener('click', () => {
         this.currentPage++;
         this.render(true);
+        this.updateUrl();
       });
     }
   }
 
+  /**
+   * URL State
+   * category, tag, author, view, sort, q and page are mirrored into the query string
+   */
+  readStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const page = parseInt(params.get('page'), 10);
+
+    return {
+      filter: params.get('category') || 'all',
+      tag: params.get('tag') || null,
+      author: params.get('author') || null,
+      view: params.get('view') === 'series' ? 'series' : 'list',
+      sort: params.get('sort') === 'popular' ? 'popular' : 'newest',
+      query: params.get('q') || '',
+      page: page > 0 ? page : 1
+    };
+  }
+
+  applyState(state) {
+    this.currentFilter = state.filter;
+    this.currentTag = state.tag;
+    this.currentAuthor = state.author;
+    this.currentView = state.view;
+    this.currentSort = state.sort;
+    this.searchQuery = state.query.trim();
+    this.currentPage = state.page;
+
+    this.applyFilters();
+    this.render();
+    this.updateFilterUI();
+  }
+
+  updateUrl({ replace = false } = {}) {
+    if (this.isPreview) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const state = {
+      category: this.currentFilter !== 'all' ? this.currentFilter : null,
+      tag: this.currentTag,
+      author: this.currentAuthor,
+      view: this.currentView !== 'list' ? this.currentView : null,
+      sort: this.currentSort !== 'newest' ? this.currentSort : null,
+      q: this.searchQuery || null,
+      page: this.currentPage > 1 ? this.currentPage : null
+    };
+
+    Object.entries(state).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+    if (url === `${window.location.pathname}${window.location.search}`) return;
+
+    if (replace) {
+      history.replaceState(null, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+  }
+
+  setupHistory() {
+    window.addEventListener('popstate', async () => {
+      const state = this.readStateFromUrl();
+      if (state.query) await this.loadSearchContent();
+      this.applyState(state);
+    });
+
+    // Remember where the reader was before opening a post
+    this.container.addEventListener('click', (e) => {
+      const link = e.target.closest('a[href]');
+      if (!link || link.matches('a.tag[data-tag]')) return;
+
+      try {
+        sessionStorage.setItem(BlogSystem.SCROLL_KEY, JSON.stringify({
+          url: window.location.href,
+          scrollY: window.pageYOffset
+        }));
+      } catch (error) {
+        console.warn(`Error writing to sessionStorage: ${error}`);
+      }
+    });
+  }
+
+  // Back from a post: return to the same spot in the list
+  restoreScrollPosition() {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(BlogSystem.SCROLL_KEY));
+      sessionStorage.removeItem(BlogSystem.SCROLL_KEY);
+
+      if (saved && saved.url === window.location.href) {
+        window.scrollTo(0, saved.scrollY);
+      }
+    } catch (error) {
+      console.warn(`Error reading from sessionStorage: ${error}`);
+    }
+  }
+
   render(append = false) {
     if (!this.container) return;
 
+    if (this.currentView === 'series' && !this.isPreview) {
+      this.renderSeries();
+      return;
+    }
+
     const startIndex = 0;
     const endIndex = this.isPreview
       ? this.previewCount
@@ -127,37 +509,129 @@ class BlogSystem {
     this.animateNewCards();
   }
 
+  /**
+   * Series overview - one group per series, parts in reading order
+   * Groups are sorted by their latest part; posts outside a series are left out
+   */
+  renderSeries() {
+    const groups = new Map();
+
+    this.filteredPosts
+      .filter(post => post.series)
+      .forEach(post => {
+        if (!groups.has(post.series.slug)) groups.set(post.series.slug, []);
+        groups.get(post.series.slug).push(post);
+      });
+
+    this.container.innerHTML = '';
+    this.updateLoadMoreButton(Infinity);
+
+    if (groups.size === 0) {
+      this.showEmpty();
+      return;
+    }
+
+    const latest = parts => Math.max(...parts.map(post => new Date(post.date)));
+    const sortedGroups = [...groups.values()]
+      .map(parts => parts.sort((a, b) => a.series.part - b.series.part))
+      .sort((a, b) => latest(b) - latest(a));
+
+    const fragment = document.createDocumentFragment();
+
+    sortedGroups.forEach(parts => {
+      const group = document.createElement('section');
+      group.className = 'series-group';
+
+      const count = parts.length === 1 ? '1 Teil' : `${parts.length} Teile`;
+      group.innerHTML = utils.sanitizeHtml(`
+        <h2 class="series-group-title">${utils.escapeHtml(BlogSystem.getSeriesTitle(parts))}</h2>
+        <p class="series-group-count">Serie · ${count}</p>
+        <div class="series-group-posts blog-grid"></div>
+      `);
+
+      const grid = group.querySelector('.series-group-posts');
+      parts.forEach(post => grid.appendChild(this.createPostCard(post)));
+
+      fragment.appendChild(group);
+    });
+
+    this.container.appendChild(fragment);
+    this.animateNewCards();
+  }
+
   createPostCard(post) {
     const article = document.createElement('article');
     article.className = 'blog-card glass card animate-on-scroll';
     article.dataset.category = post.category.toLowerCase().replace(/\s+/g, '-');
 
+    // Highlight matched search terms in title, excerpt and tags
+    const mark = text => this.searchQuery && this.searchIndex
+      ? this.searchIndex.highlight(text, this.searchQuery)
+      : utils.escapeHtml(text);
+
     // Create image placeholder if no image
     const imageHtml = post.image
-      ? `<img src="${post.image}" alt="${utils.escapeHtml(post.title)}" loading="lazy">`
+      ? `<img src="${utils.escapeHtml(utils.sanitizeUrl(post.image))}" alt="${utils.escapeHtml(post.title)}" loading="lazy">`
       : `<div class="image-placeholder">
-           <span>${post.category.charAt(0)}</span>
+           <span>${utils.escapeHtml(post.category.charAt(0))}</span>
          </div>`;
 
-    article.innerHTML = `
-      <a href="blog-post.html?id=${post.id}" class="blog-image">
+    const postUrl = utils.escapeHtml(BlogSystem.getPostUrl(post));
+
+    const seriesHtml = post.series
+      ? `<span class="blog-series">Teil ${utils.escapeHtml(post.series.part)}</span>`
+      : '';
+
+    // Read / partially read marker from the saved reading position
+    const position = window.ReadingPosition ? ReadingPosition.get(post) : null;
+    const readingHtml = position
+      ? `<span class="blog-reading-state">${position.read ? 'Gelesen' : `${position.progress} % gelesen`}</span>`
+      : '';
+
+    const statsHtml = window.PostStats
+      ? PostStats.createSummaryHtml(this.stats.get(PostStats.key(post)))
+      : '';
+
+    article.innerHTML = utils.sanitizeHtml(`
+      <a href="${postUrl}" class="blog-image">
         ${imageHtml}
       </a>
       <div class="blog-content">
         <div class="blog-meta">
           <span class="blog-category">${utils.escapeHtml(post.category)}</span>
           <span class="blog-date">${utils.formatDate(post.date)}</span>
-          <span class="blog-read-time">${post.readTime || '5 min'}</span>
+          <span class="blog-read-time">${utils.escapeHtml(BlogSystem.getReadTime(post))}</span>
+          ${seriesHtml}
+          ${readingHtml}
+          ${statsHtml}
         </div>
         <h3 class="blog-title">
-          <a href="blog-post.html?id=${post.id}">${utils.escapeHtml(post.title)}</a>
+          <a href="${postUrl}">${mark(post.title)}</a>
         </h3>
-        <p class="blog-excerpt">${utils.escapeHtml(post.excerpt)}</p>
+        <p class="blog-excerpt">${mark(post.excerpt)}</p>
         <div class="tags">
-          ${post.tags.map(tag => `<span class="tag">${utils.escapeHtml(tag)}</span>`).join('')}
+          ${post.tags.map(tag => BlogSystem.createTagLink(tag, mark(tag))).join('')}
         </div>
       </div>
-    `;
+    `);
+
+    if (position) {
+      // Inline styles don't survive the sanitizer, so the bar is added afterwards
+      const bar = document.createElement('div');
+      bar.className = 'blog-reading-progress';
+      bar.setAttribute('aria-hidden', 'true');
+
+      const fill = document.createElement('span');
+      fill.style.width = `${position.read ? 100 : position.progress}%`;
+      bar.appendChild(fill);
+
+      article.querySelector('.blog-image').appendChild(bar);
+      article.classList.toggle('is-read', position.read);
+    }
+
+    if (window.Bookmarks) {
+      article.appendChild(Bookmarks.createToggle(post, { compact: true }));
+    }
 
     return article;
   }
@@ -217,6 +691,9 @@ class BlogSystem {
   }
 }
 
+// sessionStorage key for the list scroll position
+BlogSystem.SCROLL_KEY = 'blog-scroll-position';
+
 /**
  * Single Post Loader
  * Loads and displays a single blog post
@@ -224,7 +701,11 @@ class BlogSystem {
 class SinglePostLoader {
   constructor() {
     this.postContainer = document.getElementById('post-content');
-    this.postsUrl = 'data/posts.json';
+    this.repository = PostRepository.shared('data/posts.json');
+    // Prerendered pages (blog/<slug>/) already contain the post markup
+    this.isPrerendered = this.postContainer?.hasAttribute('data-prerendered') || false;
+    // ?preview=1 shows drafts and scheduled posts before they go live
+    this.isPreviewMode = new URLSearchParams(window.location.search).get('preview') === '1';
 
     if (this.postContainer) {
       this.init();
@@ -232,40 +713,122 @@ class SinglePostLoader {
   }
 
   async init() {
-    const postId = this.getPostIdFromUrl();
-    if (!postId) {
+    const postRef = this.getPostRefFromUrl();
+    if (!postRef) {
       this.showError('Kein Beitrag angegeben.');
       return;
     }
 
-    this.showLoading();
-    const post = await this.loadPost(postId);
+    if (!this.isPrerendered) {
+      this.showLoading();
+    }
+    const [post, authors] = await Promise.all([this.loadPost(postRef), AuthorRegistry.load()]);
+    this.authors = authors;
 
-    if (post) {
+    if (post && !PostRepository.isViewable(post)) {
+      if (!this.isPreviewMode) {
+        this.hidePost();
+        return;
+      }
+      this.showPreviewBanner(post);
+    }
+
+    if (post && this.isPrerendered) {
+      this.enhance(post);
+    } else if (post) {
+      this.redirectToCanonicalUrl(post, postRef);
       this.render(post);
       this.updateMetaTags(post);
-    } else {
+    } else if (!this.isPrerendered) {
       this.showError('Beitrag nicht gefunden.');
     }
+
+    // Hook for page features that need the post (reading position, ...)
+    if (post) {
+      document.dispatchEvent(new CustomEvent('post:loaded', { detail: { post } }));
+    }
   }
 
-  getPostIdFromUrl() {
+  /**
+   * Read the requested post from the URL
+   * Supports ?post=slug, /blog/slug/ and legacy ?id=3 links
+   */
+  getPostRefFromUrl() {
     const params = new URLSearchParams(window.location.search);
-    return params.get('id');
+
+    if (params.get('post')) {
+      return { slug: params.get('post') };
+    }
+
+    const pathMatch = window.location.pathname.match(/\/blog\/([^/]+)\/?$/);
+    if (pathMatch) {
+      return { slug: decodeURIComponent(pathMatch[1]) };
+    }
+
+    if (params.get('id')) {
+      return { id: params.get('id') };
+    }
+
+    return null;
   }
 
-  async loadPost(id) {
+  async loadPost(ref) {
     try {
-      const data = await utils.fetchJSON(this.postsUrl);
-      if (data && data.posts) {
-        return data.posts.find(post => post.id.toString() === id.toString());
-      }
+      const post = ref.slug
+        ? await this.repository.bySlug(ref.slug)
+        : await this.repository.byId(ref.id);
+
+      // Prerendered pages already contain the body, others fetch it on demand
+      if (!post || this.isPrerendered) return post;
+      return await this.repository.withContent(post);
     } catch (error) {
       console.error('Error loading post:', error);
     }
     return null;
   }
 
+  // Scheduled posts stay hidden until publishAt - prerendered markup included
+  hidePost() {
+    if (this.isPrerendered) {
+      document.querySelector('.post-header')?.replaceChildren();
+      document.querySelector('.post-tags')?.replaceChildren();
+      document.querySelectorAll('.post-featured-image, .post-navigation, .related-posts')
+        .forEach(element => { element.style.display = 'none'; });
+    }
+
+    this.showError('Beitrag nicht gefunden.');
+  }
+
+  showPreviewBanner(post) {
+    const status = PostRepository.getStatus(post);
+    const detail = status === 'scheduled'
+      ? `Geplant für ${utils.formatDate(post.publishAt)} - diese Vorschau ist noch nicht öffentlich.`
+      : 'Diese Vorschau ist nicht öffentlich.';
+
+    const banner = document.createElement('div');
+    banner.className = 'draft-banner';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = `<strong>Entwurf</strong> <span>${utils.escapeHtml(detail)}</span>`;
+    document.querySelector('.blog-post')?.prepend(banner);
+
+    // Keep previews out of search engines
+    const robots = document.createElement('meta');
+    robots.name = 'robots';
+    robots.content = 'noindex';
+    document.head.appendChild(robots);
+  }
+
+  // Rewrite old ?id= links to the slug form without reloading
+  redirectToCanonicalUrl(post, ref) {
+    if (!ref.id || !post.slug) return;
+
+    const params = new URLSearchParams(window.location.search);
+    params.delete('id');
+    params.set('post', post.slug);
+
+    history.replaceState(null, '', `${window.location.pathname}?${params}${window.location.hash}`);
+  }
+
   render(post) {
     // Update page title
     document.title = `${post.title} | Leonic's World`;
@@ -273,71 +836,132 @@ class SinglePostLoader {
     // Update post header
     const header = document.querySelector('.post-header');
     if (header) {
-      header.innerHTML = `
+      header.innerHTML = utils.sanitizeHtml(`
         <div class="container">
           <div class="post-meta">
             <span class="post-category">${utils.escapeHtml(post.category)}</span>
             <span class="post-date">${utils.formatDate(post.date)}</span>
-            <span class="post-read-time">${post.readTime || '5 min'} Lesezeit</span>
+            <span class="post-read-time">${utils.escapeHtml(BlogSystem.getReadTime(post))} Lesezeit</span>
           </div>
           <h1 class="post-title">${utils.escapeHtml(post.title)}</h1>
-          <div class="post-author">
-            <img src="images/profile/leon-small.jpg" alt="${utils.escapeHtml(post.author)}" onerror="this.style.display='none'">
-            <span>von ${utils.escapeHtml(post.author)}</span>
+          <div class="post-author author-card">
+            ${this.authors.createCardHtml(post.author, { byline: true })}
           </div>
         </div>
-      `;
+      `);
     }
 
     // Update featured image
     const featuredImage = document.querySelector('.post-featured-image');
     if (featuredImage && post.image) {
-      featuredImage.innerHTML = `<img src="${post.image}" alt="${utils.escapeHtml(post.title)}">`;
+      featuredImage.innerHTML = utils.sanitizeHtml(
+        `<img src="${utils.escapeHtml(utils.sanitizeUrl(post.image))}" alt="${utils.escapeHtml(post.title)}">`
+      );
     } else if (featuredImage) {
       featuredImage.style.display = 'none';
     }
 
     // Update content
     if (this.postContainer) {
-      this.postContainer.innerHTML = post.content || `<p>${utils.escapeHtml(post.excerpt)}</p>`;
+      this.postContainer.innerHTML = utils.sanitizeHtml(
+        post.content || `<p>${utils.escapeHtml(post.excerpt)}</p>`
+      );
     }
 
     // Update tags
     const tagsContainer = document.querySelector('.post-tags');
     if (tagsContainer && post.tags) {
-      tagsContainer.innerHTML = post.tags.map(tag =>
-        `<span class="tag">${utils.escapeHtml(tag)}</span>`
-      ).join('');
+      tagsContainer.innerHTML = utils.sanitizeHtml(
+        post.tags.map(tag => BlogSystem.createTagLink(tag)).join('')
+      );
     }
 
     // Setup navigation
+    this.setupAuthorAvatar();
+    this.setupContent();
+    this.setupTableOfContents();
+    this.setupBookmark(post);
+    this.setupNavigation(post);
+    this.setupSeries(post);
+    this.setupRelatedPosts(post);
+  }
+
+  // Prerendered pages already have header, content and meta tags
+  enhance(post) {
+    this.setupAuthorAvatar();
+    this.setupContent();
+    this.setupTableOfContents();
+    this.setupBookmark(post);
     this.setupNavigation(post);
+    this.setupSeries(post);
+    this.setupRelatedPosts(post);
+  }
+
+  // Save-for-later toggle at the end of the header - buttons don't survive the sanitizer
+  setupBookmark(post) {
+    const header = document.querySelector('.post-header .container');
+    if (!header || !window.Bookmarks) return;
+
+    header.querySelector('.bookmark-toggle')?.remove();
+    header.appendChild(Bookmarks.createToggle(post));
+  }
+
+  // Inline handlers are stripped by the sanitizer, so hide a missing avatar here
+  setupAuthorAvatar() {
+    const avatar = document.querySelector('.post-author .author-avatar');
+    if (!avatar) return;
+
+    const hide = () => { avatar.style.display = 'none'; };
+    // Prerendered avatars may have failed before this script ran
+    if (avatar.complete && avatar.naturalWidth === 0) {
+      hide();
+    } else {
+      avatar.addEventListener('error', hide);
+    }
+  }
+
+  // Highlighting, copy buttons and footnote previews - content arrives as plain markup
+  setupContent() {
+    if (window.CodeBlocks) {
+      this.codeBlocks = new CodeBlocks(this.postContainer);
+    }
+    if (window.Footnotes) {
+      this.footnotes = new Footnotes(this.postContainer);
+    }
+  }
+
+  setupTableOfContents() {
+    if (window.TableOfContents) {
+      this.tableOfContents = new TableOfContents(this.postContainer);
+    }
+
+    // Deep links to headings only resolve once the anchors exist
+    if (window.location.hash) {
+      window.navigation?.scrollToHash();
+    }
   }
 
   async setupNavigation(currentPost) {
     try {
-      const data = await utils.fetchJSON(this.postsUrl);
-      if (!data || !data.posts) return;
-
-      const posts = data.posts.sort((a, b) => new Date(b.date) - new Date(a.date));
-      const currentIndex = posts.findIndex(p => p.id.toString() === currentPost.id.toString());
+      const { prev: prevPost, next: nextPost, inSeries } = await this.repository.adjacent(currentPost);
 
-      const prevPost = posts[currentIndex + 1];
-      const nextPost = posts[currentIndex - 1];
+      const label = post => inSeries ? `Teil ${post.series.part}: ${post.title}` : post.title;
 
       const prevLink = document.querySelector('.nav-prev');
       const nextLink = document.querySelector('.nav-next');
 
       if (prevLink && prevPost) {
-        prevLink.href = `blog-post.html?id=${prevPost.id}`;
-        prevLink.textContent = `← ${prevPost.title}`;
+        prevLink.href = BlogSystem.getPostUrl(prevPost);
+        prevLink.textContent = `← ${label(prevPost)}`;
+        prevLink.style.visibility = '';
       } else if (prevLink) {
         prevLink.style.visibility = 'hidden';
       }
 
       if (nextLink && nextPost) {
-        nextLink.href = `blog-post.html?id=${nextPost.id}`;
-        nextLink.textContent = `${nextPost.title} →`;
+        nextLink.href = BlogSystem.getPostUrl(nextPost);
+        nextLink.textContent = `${label(nextPost)} →`;
+        nextLink.style.visibility = '';
       } else if (nextLink) {
         nextLink.style.visibility = 'hidden';
       }
@@ -346,7 +970,68 @@ class SinglePostLoader {
     }
   }
 
+  // "Teil 2 von 4" box listing every part of the series
+  async setupSeries(currentPost) {
+    const container = document.querySelector('#post-series');
+    if (!container || !currentPost.series) return;
+
+    try {
+      const parts = await this.repository.series(currentPost);
+      if (!parts.some(part => PostRepository.isSamePost(part, currentPost))) {
+        // Unlisted or previewed parts still show where they belong
+        parts.push(currentPost);
+        parts.sort((a, b) => a.series.part - b.series.part);
+      }
+
+      const items = parts.map(part => {
+        const title = `Teil ${utils.escapeHtml(part.series.part)}: ${utils.escapeHtml(part.title)}`;
+        return PostRepository.isSamePost(part, currentPost)
+          ? `<li class="current"><span aria-current="page">${title}</span></li>`
+          : `<li><a href="${utils.escapeHtml(BlogSystem.getPostUrl(part))}">${title}</a></li>`;
+      });
+
+      const total = Math.max(...parts.map(part => part.series.part));
+
+      container.innerHTML = utils.sanitizeHtml(`
+        <p class="post-series-label">
+          Teil ${utils.escapeHtml(currentPost.series.part)} von ${total} ·
+          <strong>${utils.escapeHtml(BlogSystem.getSeriesTitle(parts))}</strong>
+        </p>
+        <ol class="post-series-list">${items.join('')}</ol>
+      `);
+      container.hidden = false;
+    } catch (error) {
+      console.error('Error loading series:', error);
+    }
+  }
+
+  async setupRelatedPosts(currentPost) {
+    if (!window.RelatedPosts || !document.querySelector('#related-posts')) return;
+
+    try {
+      new RelatedPosts().render(currentPost, await this.repository.listed());
+    } catch (error) {
+      console.error('Error loading related posts:', error);
+    }
+  }
+
   updateMetaTags(post) {
+    const postUrl = new URL(BlogSystem.getPostUrl(post), document.baseURI).href;
+
+    // Canonical URL always points to the slug form
+    let canonical = document.querySelector('link[rel="canonical"]');
+    if (!canonical) {
+      canonical = document.createElement('link');
+      canonical.rel = 'canonical';
+      document.head.appendChild(canonical);
+    }
+    canonical.href = postUrl;
+
+    let metaAuthor = document.querySelector('meta[name="author"]');
+    if (metaAuthor) {
+      metaAuthor.setAttribute('content', this.authors.get(post.author).name);
+    }
+
     // Update meta description
     let metaDesc = document.querySelector('meta[name="description"]');
     if (metaDesc) {
@@ -364,6 +1049,11 @@ class SinglePostLoader {
       ogDesc.setAttribute('content', post.excerpt);
     }
 
+    let ogUrl = document.querySelector('meta[property="og:url"]');
+    if (ogUrl) {
+      ogUrl.setAttribute('content', postUrl);
+    }
+
     if (post.image) {
       let ogImage = document.querySelector('meta[property="og:image"]');
       if (ogImage) {
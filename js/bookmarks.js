@@ -0,0 +1,174 @@
+/**
+ * Bookmarks
+ * Posts saved for later - kept in localStorage and listed on reading-list.html
+ */
+
+class Bookmarks {
+  // Same key as the reading position: slug, id for posts without one
+  static key(post) {
+    return String(post.slug || post.id);
+  }
+
+  // Saved posts in reading list order: [{ key, savedAt }]
+  static getAll() {
+    const bookmarks = utils.storage.get(Bookmarks.STORAGE_KEY, []);
+    return Array.isArray(bookmarks)
+      ? bookmarks.filter(bookmark => bookmark && typeof bookmark.key === 'string')
+      : [];
+  }
+
+  static count() {
+    return Bookmarks.getAll().length;
+  }
+
+  static has(post) {
+    const key = Bookmarks.key(post);
+    return Bookmarks.getAll().some(bookmark => bookmark.key === key);
+  }
+
+  static save(bookmarks) {
+    const saved = utils.storage.set(Bookmarks.STORAGE_KEY, bookmarks);
+    document.dispatchEvent(new CustomEvent('bookmarks:change', { detail: { bookmarks } }));
+    return saved;
+  }
+
+  // New bookmarks go to the end of the reading list
+  static add(post) {
+    if (Bookmarks.has(post)) return true;
+    return Bookmarks.save([...Bookmarks.getAll(), { key: Bookmarks.key(post), savedAt: Date.now() }]);
+  }
+
+  static remove(key) {
+    return Bookmarks.save(Bookmarks.getAll().filter(bookmark => bookmark.key !== key));
+  }
+
+  // Returns whether the post is saved afterwards
+  static toggle(post) {
+    if (Bookmarks.has(post)) {
+      Bookmarks.remove(Bookmarks.key(post));
+      return false;
+    }
+    return Bookmarks.add(post);
+  }
+
+  // Move a bookmark up (negative offset) or down the reading list
+  static move(key, offset) {
+    const bookmarks = Bookmarks.getAll();
+    const from = bookmarks.findIndex(bookmark => bookmark.key === key);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= bookmarks.length) return false;
+
+    bookmarks.splice(to, 0, ...bookmarks.splice(from, 1));
+    return Bookmarks.save(bookmarks);
+  }
+
+  static export() {
+    return {
+      version: Bookmarks.EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      bookmarks: Bookmarks.getAll()
+    };
+  }
+
+  /**
+   * Merge an exported reading list into the saved one
+   * Accepts the export format or a plain array of keys; returns the number of added posts
+   */
+  static import(data) {
+    const entries = Array.isArray(data) ? data : data && data.bookmarks;
+    if (!Array.isArray(entries)) {
+      throw new Error('Die Datei enthält keine Leseliste.');
+    }
+
+    const bookmarks = Bookmarks.getAll();
+    const keys = new Set(bookmarks.map(bookmark => bookmark.key));
+    let added = 0;
+
+    entries.forEach(entry => {
+      const key = typeof entry === 'string' ? entry : entry && entry.key;
+      if (typeof key !== 'string' || !key || keys.has(key)) return;
+
+      keys.add(key);
+      bookmarks.push({ key, savedAt: Number(entry.savedAt) || Date.now() });
+      added++;
+    });
+
+    if (added) Bookmarks.save(bookmarks);
+    return added;
+  }
+
+  /**
+   * Save / unsave button for cards and the post header
+   * All toggles of a post stay in sync through the bookmarks:change event
+   */
+  static createToggle(post, { compact = false } = {}) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `bookmark-toggle${compact ? ' bookmark-toggle-compact' : ''}`;
+    button.dataset.bookmark = Bookmarks.key(post);
+    button.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+        <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path>
+      </svg>
+      <span class="bookmark-toggle-label${compact ? ' sr-only' : ''}"></span>
+    `;
+
+    button.addEventListener('click', (e) => {
+      // Cards are links - the toggle must not open the post
+      e.preventDefault();
+      e.stopPropagation();
+      Bookmarks.toggle(post);
+    });
+
+    Bookmarks.updateToggle(button);
+    return button;
+  }
+
+  static updateToggle(button) {
+    const saved = Bookmarks.getAll().some(bookmark => bookmark.key === button.dataset.bookmark);
+
+    button.classList.toggle('is-saved', saved);
+    button.setAttribute('aria-pressed', String(saved));
+    button.title = saved ? 'Von der Leseliste entfernen' : 'Für später merken';
+    button.querySelector('.bookmark-toggle-label').textContent = saved ? 'Gemerkt' : 'Merken';
+  }
+
+  // Counter badge next to the reading list link in the navbar
+  static updateBadges() {
+    const count = Bookmarks.count();
+
+    document.querySelectorAll('[data-bookmark-count]').forEach(badge => {
+      badge.textContent = count > 99 ? '99+' : String(count);
+      badge.hidden = count === 0;
+    });
+
+    document.querySelectorAll('.nav-reading-list').forEach(link => {
+      link.setAttribute('aria-label', count ? `Leseliste (${count} gemerkt)` : 'Leseliste');
+    });
+  }
+
+  static refresh() {
+    document.querySelectorAll('.bookmark-toggle').forEach(button => Bookmarks.updateToggle(button));
+    Bookmarks.updateBadges();
+  }
+}
+
+Bookmarks.STORAGE_KEY = 'reading-list';
+Bookmarks.EXPORT_VERSION = 1;
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  Bookmarks.updateBadges();
+
+  document.addEventListener('bookmarks:change', () => Bookmarks.refresh());
+
+  // Bookmarks changed in another tab
+  window.addEventListener('storage', (e) => {
+    if (e.key === Bookmarks.STORAGE_KEY || e.key === null) {
+      document.dispatchEvent(new CustomEvent('bookmarks:change', { detail: { bookmarks: Bookmarks.getAll() } }));
+    }
+  });
+});
+
+// Export class
+window.Bookmarks = Bookmarks;
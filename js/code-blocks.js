@@ -0,0 +1,253 @@
+/**
+ * Code Blocks
+ * Build-free syntax highlighting for HTML, CSS, JavaScript and shell,
+ * plus a copy button on every code block in post content
+ */
+
+/**
+ * A grammar is a list of rules tried in order at every position
+ * Rules without a type consume text without highlighting it (e.g. identifiers,
+ * so "subclass" doesn't light up as "class"); `inside` highlights a match again
+ */
+const TAG_GRAMMAR = [
+  { type: 'punctuation', pattern: /<\/?|\/?>/y },
+  { type: 'tag-name', pattern: /(?<=<\/?)[\w:-]+/y },
+  { type: 'attr-value', pattern: /"[^"]*"|'[^']*'|(?<==\s*)[^\s"'=<>`]+/y },
+  { type: 'punctuation', pattern: /=/y },
+  { type: 'attr-name', pattern: /[^\s"'>/=]+/y }
+];
+
+const HTML_GRAMMAR = [
+  { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/y },
+  { type: 'keyword', pattern: /<!DOCTYPE[^>]*>?/iy },
+  {
+    type: 'tag',
+    pattern: /<\/?[A-Za-z][\w:-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/y,
+    inside: TAG_GRAMMAR
+  },
+  { type: 'entity', pattern: /&(?:#\d+|#x[\da-fA-F]+|\w+);/y }
+];
+
+const CSS_GRAMMAR = [
+  { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y },
+  { type: 'string', pattern: /url\((?:[^()"']|"[^"]*"|'[^']*')*\)|'(?:\\.|[^\\'\n])*'?|"(?:\\.|[^\\"\n])*"?/y },
+  { type: 'keyword', pattern: /@[\w-]+|!\s*important\b/y },
+  // A name before a colon is a property unless a "{" follows - then it's "a:hover {"
+  { type: 'property', pattern: /[\w-]+(?=\s*:[^;{}]*(?:[;}]|$))/y },
+  { type: 'number', pattern: /#[\da-fA-F]{3,8}\b/y },
+  { type: 'selector', pattern: /[.#][A-Za-z_-][\w-]*|::?[A-Za-z-]+/y },
+  { type: 'function', pattern: /[\w-]+(?=\()/y },
+  { type: 'number', pattern: /-?(?:\d+\.?\d*|\.\d+)(?:%|[A-Za-z]+)?/y },
+  { pattern: /[\w-]+/y }
+];
+
+const JS_GRAMMAR = [
+  { type: 'comment', pattern: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y },
+  { type: 'string', pattern: /`(?:\\[\s\S]|[^\\`])*`?|'(?:\\.|[^\\'\n])*'?|"(?:\\.|[^\\"\n])*"?/y },
+  {
+    type: 'keyword',
+    pattern: /\b(?:async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|yield)\b/y
+  },
+  { type: 'boolean', pattern: /\b(?:true|false|null|undefined|NaN|Infinity)\b/y },
+  { type: 'number', pattern: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b/y },
+  { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/y },
+  { type: 'operator', pattern: /=>|[-+*/%=!<>&|^~?]=?/y },
+  { pattern: /[A-Za-z_$][\w$]*/y }
+];
+
+const SHELL_GRAMMAR = [
+  { type: 'comment', pattern: /(?<=^|\s)#.*/my },
+  { type: 'prompt', pattern: /^\s*\$(?=\s)/my },
+  { type: 'string', pattern: /"(?:\\[\s\S]|[^\\"])*"?|'[^']*'?/y },
+  { type: 'variable', pattern: /\$(?:\{[^}\n]*\}|\([^)\n]*\)|[\w@#?$!*-])/y },
+  {
+    type: 'keyword',
+    pattern: /\b(?:case|do|done|elif|else|esac|export|fi|for|function|if|in|local|return|then|until|while)\b/y
+  },
+  // First word of a line or pipeline step is the command
+  { type: 'function', pattern: /(?<=(?:^|[|;&(])\s*(?:\$\s+)?)[A-Za-z_./][\w./-]*/my },
+  { type: 'attr-name', pattern: /(?<=\s)--?[\w-]+/y },
+  { pattern: /[\w./-]+/y }
+];
+
+class CodeHighlighter {
+  // Grammar for a language name or alias, null for languages we don't know
+  static getGrammar(language) {
+    const name = CodeHighlighter.ALIASES[String(language || '').toLowerCase()];
+    return name ? CodeHighlighter.grammars[name] : null;
+  }
+
+  // Language from a "language-x" (or "lang-x") class on <code> or <pre>
+  static detectLanguage(code) {
+    const classes = [...code.classList, ...(code.parentElement ? code.parentElement.classList : [])];
+    const match = classes.map(name => name.match(/^lang(?:uage)?-(.+)$/)).find(Boolean);
+    if (match) return match[1].toLowerCase();
+
+    // Unlabelled blocks: markup and prompts are easy to recognize
+    const text = code.textContent.trim();
+    if (/^<(?:!DOCTYPE|!--|[A-Za-z])/i.test(text)) return 'html';
+    if (/^\$\s/.test(text)) return 'shell';
+    return null;
+  }
+
+  // Highlighted HTML for a piece of code - escaped plain text for unknown languages
+  static highlight(code, language) {
+    const grammar = CodeHighlighter.getGrammar(language);
+    return grammar ? CodeHighlighter.tokenize(code, grammar) : utils.escapeHtml(code);
+  }
+
+  static tokenize(code, grammar) {
+    let html = '';
+    let plain = '';
+    let index = 0;
+
+    while (index < code.length) {
+      let match = null;
+      let rule = null;
+
+      for (const candidate of grammar) {
+        candidate.pattern.lastIndex = index;
+        match = candidate.pattern.exec(code);
+        if (match && match[0]) {
+          rule = candidate;
+          break;
+        }
+      }
+
+      if (!rule) {
+        plain += code[index++];
+        continue;
+      }
+
+      const text = match[0];
+      html += utils.escapeHtml(plain);
+      plain = '';
+
+      if (rule.type) {
+        const inner = rule.inside ? CodeHighlighter.tokenize(text, rule.inside) : utils.escapeHtml(text);
+        html += `<span class="token ${rule.type}">${inner}</span>`;
+      } else {
+        html += utils.escapeHtml(text);
+      }
+      index += text.length;
+    }
+
+    return html + utils.escapeHtml(plain);
+  }
+}
+
+CodeHighlighter.grammars = {
+  html: HTML_GRAMMAR,
+  css: CSS_GRAMMAR,
+  js: JS_GRAMMAR,
+  shell: SHELL_GRAMMAR
+};
+
+CodeHighlighter.ALIASES = {
+  html: 'html',
+  xml: 'html',
+  svg: 'html',
+  css: 'css',
+  js: 'js',
+  javascript: 'js',
+  mjs: 'js',
+  json: 'js',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  shell: 'shell',
+  console: 'shell'
+};
+
+// Shown above the block instead of the class name
+CodeHighlighter.LABELS = {
+  html: 'HTML',
+  css: 'CSS',
+  js: 'JavaScript',
+  shell: 'Shell'
+};
+
+/**
+ * Code Blocks
+ * Highlights every <pre> in a container and adds a copy button
+ */
+class CodeBlocks {
+  constructor(content) {
+    this.content = content;
+
+    if (this.content) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.content.querySelectorAll('pre').forEach(pre => {
+      // Already enhanced
+      if (pre.closest('.code-block')) return;
+
+      const code = pre.querySelector('code') || pre;
+      const language = CodeHighlighter.detectLanguage(code);
+      const grammarName = CodeHighlighter.ALIASES[language] || null;
+
+      if (grammarName) {
+        code.innerHTML = CodeHighlighter.highlight(code.textContent, grammarName);
+      }
+
+      this.wrap(pre, code, grammarName ? CodeHighlighter.LABELS[grammarName] : language);
+    });
+  }
+
+  wrap(pre, code, label) {
+    const block = document.createElement('div');
+    block.className = 'code-block';
+    pre.parentNode.insertBefore(block, pre);
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'code-block-toolbar';
+
+    const language = document.createElement('span');
+    language.className = 'code-block-language';
+    language.textContent = label || '';
+    toolbar.appendChild(language);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'code-copy';
+    button.textContent = 'Kopieren';
+    button.title = 'Code kopieren';
+    // Announces "Kopiert!" to screen readers
+    button.setAttribute('aria-live', 'polite');
+    button.addEventListener('click', () => this.copy(button, code));
+    toolbar.appendChild(button);
+
+    block.appendChild(toolbar);
+    block.appendChild(pre);
+  }
+
+  async copy(button, code) {
+    const success = await utils.copyToClipboard(CodeBlocks.getCopyText(code));
+
+    button.textContent = success ? 'Kopiert!' : 'Fehlgeschlagen';
+    button.classList.toggle('is-copied', success);
+
+    clearTimeout(button.resetTimer);
+    button.resetTimer = setTimeout(() => {
+      button.textContent = 'Kopieren';
+      button.classList.remove('is-copied');
+    }, CodeBlocks.FEEDBACK_DURATION);
+  }
+
+  // Shell prompts ("$ npm start") are for reading - the command is what gets pasted
+  static getCopyText(code) {
+    const text = code.textContent.replace(/\n$/, '');
+    if (!code.querySelector('.token.prompt')) return text;
+
+    return text.replace(/^\s*\$\s/gm, '');
+  }
+}
+
+CodeBlocks.FEEDBACK_DURATION = 2000;
+
+// Export classes
+window.CodeHighlighter = CodeHighlighter;
+window.CodeBlocks = CodeBlocks;
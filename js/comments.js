@@ -0,0 +1,375 @@
+/**
+ * Comments
+ * Threaded comments below a post. The backend sits behind an adapter, so a
+ * hosted provider can replace the local server (server/comments-server.js)
+ * by registering its own adapter - blog.js doesn't know about comments at all.
+ */
+
+/**
+ * Adapter interface
+ * list(postKey) resolves to [{ id, parentId, author, text, createdAt, status }]
+ * create(postKey, { parentId, author, text, website, elapsed }) resolves to the
+ * stored comment - status "pending" if it waits for moderation
+ */
+class CommentsAdapter {
+  async list() {
+    throw new Error(`${this.constructor.name} must implement list()`);
+  }
+
+  async create() {
+    throw new Error(`${this.constructor.name} must implement create()`);
+  }
+}
+
+// REST backend like server/comments-server.js
+class HttpCommentsAdapter extends CommentsAdapter {
+  constructor(options = {}) {
+    super();
+    this.url = options.url || 'api/comments';
+  }
+
+  async request(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  async list(postKey) {
+    const data = await this.request(`${this.url}?post=${encodeURIComponent(postKey)}`);
+    return data.comments || [];
+  }
+
+  async create(postKey, comment) {
+    const data = await this.request(this.url, {
+      method: 'POST',
+      body: JSON.stringify({ post: postKey, ...comment })
+    });
+    return data.comment;
+  }
+}
+
+class CommentsSection {
+  constructor(container, post, adapter = CommentsSection.createAdapter(container)) {
+    this.container = container;
+    this.post = post;
+    this.postKey = String(post.slug || post.id);
+    this.adapter = adapter;
+    this.comments = [];
+
+    this.init();
+  }
+
+  /**
+   * Adapter from the container's data attributes:
+   * data-comments-adapter (name, default "http") and data-comments-url
+   */
+  static createAdapter(container) {
+    const name = container.dataset.commentsAdapter || 'http';
+    const factory = CommentsSection.adapters[name];
+    if (!factory) throw new Error(`Unknown comments adapter "${name}"`);
+
+    return factory({ url: container.dataset.commentsUrl });
+  }
+
+  // Hook for other providers: CommentsSection.registerAdapter('name', options => adapter)
+  static registerAdapter(name, factory) {
+    CommentsSection.adapters[name] = factory;
+  }
+
+  /**
+   * Markdown-lite: **bold**, *italic*, `code`, [links](https://...), bare URLs,
+   * "> " quotes and paragraphs. Everything else stays plain text.
+   */
+  static format(text) {
+    const tokens = [];
+    const keep = html => `\u0000${tokens.push(html) - 1}\u0000`;
+    const link = (url, label) => keep(`<a href="${url}">${label}</a>`);
+
+    const html = utils.escapeHtml(String(text).trim())
+      // Code and links first, so their content isn't formatted again
+      .replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${code}</code>`))
+      .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, label, url) => link(url, label))
+      .replace(/https?:\/\/[^\s<]+[^\s<.,:;!?)]/g, url => link(url, url))
+      .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w*])\*([^*\n]+)\*(?![\w*])/g, '$1<em>$2</em>')
+      .split(/\n\s*\n/)
+      .map(block => {
+        const lines = block.trim().split('\n');
+        const isQuote = lines.every(line => line.startsWith('&gt;'));
+        const content = lines.map(line => (isQuote ? line.replace(/^&gt;\s?/, '') : line)).join('<br>');
+        return isQuote ? `<blockquote><p>${content}</p></blockquote>` : `<p>${content}</p>`;
+      })
+      .join('');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+  }
+
+  // Replies nested below their parent, oldest first on every level
+  static buildTree(comments) {
+    const byParent = new Map();
+    const ids = new Set(comments.map(comment => comment.id));
+
+    [...comments]
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .forEach(comment => {
+        // Replies to removed comments move up to the top level
+        const parentId = comment.parentId && ids.has(comment.parentId) ? comment.parentId : null;
+        if (!byParent.has(parentId)) byParent.set(parentId, []);
+        byParent.get(parentId).push(comment);
+      });
+
+    const children = parentId => (byParent.get(parentId) || [])
+      .map(comment => ({ comment, replies: children(comment.id) }));
+
+    return children(null);
+  }
+
+  async init() {
+    this.container.innerHTML = `
+      <h2 class="comments-title" id="comments-title">Kommentare</h2>
+      <ol class="comment-list"></ol>
+      <div class="comments-form"></div>
+    `;
+    this.title = this.container.querySelector('.comments-title');
+    this.list = this.container.querySelector('.comment-list');
+
+    try {
+      this.comments = await this.adapter.list(this.postKey);
+    } catch (error) {
+      // No backend (e.g. the static site on GitHub Pages) - no comments section
+      console.warn('Comments are not available:', error);
+      this.container.hidden = true;
+      return;
+    }
+
+    this.container.hidden = false;
+    this.container.querySelector('.comments-form').appendChild(this.createForm(null));
+    this.render();
+  }
+
+  // Own comments still waiting for moderation, kept until they show up approved
+  getPending() {
+    const all = utils.storage.get(CommentsSection.PENDING_KEY, {});
+    const cutoff = Date.now() - CommentsSection.PENDING_TTL;
+
+    return (all[this.postKey] || []).filter(comment =>
+      new Date(comment.createdAt) > cutoff &&
+      !this.comments.some(approved => approved.id === comment.id)
+    );
+  }
+
+  savePending(comments) {
+    const all = utils.storage.get(CommentsSection.PENDING_KEY, {});
+
+    if (comments.length) {
+      all[this.postKey] = comments;
+    } else {
+      delete all[this.postKey];
+    }
+    utils.storage.set(CommentsSection.PENDING_KEY, all);
+  }
+
+  render() {
+    const pending = this.getPending();
+    this.savePending(pending);
+
+    const count = this.comments.length;
+    this.title.textContent = count === 1 ? '1 Kommentar' : `${count} Kommentare`;
+
+    this.list.innerHTML = '';
+    const tree = CommentsSection.buildTree([...this.comments, ...pending]);
+
+    if (tree.length === 0) {
+      this.list.innerHTML = '<li class="comments-empty">Noch keine Kommentare. Schreib den ersten!</li>';
+      return;
+    }
+
+    tree.forEach(node => this.list.appendChild(this.createCommentElement(node, 0)));
+  }
+
+  createCommentElement({ comment, replies }, depth) {
+    const item = document.createElement('li');
+    item.className = 'comment';
+    item.id = `comment-${comment.id}`;
+
+    const isPending = comment.status === 'pending';
+    item.classList.toggle('is-pending', isPending);
+
+    item.innerHTML = utils.sanitizeHtml(`
+      <article class="comment-body">
+        <div class="comment-meta">
+          <span class="comment-author">${utils.escapeHtml(comment.author)}</span>
+          <a href="#comment-${utils.escapeHtml(comment.id)}" class="comment-date">${utils.formatDate(comment.createdAt)}</a>
+          ${isPending ? '<span class="comment-status">Wartet auf Freigabe</span>' : ''}
+        </div>
+        <div class="comment-text">${CommentsSection.format(comment.text)}</div>
+      </article>
+    `);
+
+    // Links from readers get no ranking credit
+    item.querySelectorAll('.comment-text a').forEach(link => {
+      link.setAttribute('rel', 'nofollow ugc noopener noreferrer');
+    });
+
+    // Deeper threads get flat - replies to the last level go to its parent thread
+    if (!isPending) {
+      const replyButton = document.createElement('button');
+      replyButton.type = 'button';
+      replyButton.className = 'comment-reply';
+      replyButton.textContent = 'Antworten';
+      replyButton.setAttribute('aria-expanded', 'false');
+
+      const replyTo = depth < CommentsSection.MAX_DEPTH - 1 ? comment.id : comment.parentId;
+      replyButton.addEventListener('click', () => this.toggleReplyForm(item, replyButton, replyTo));
+      item.querySelector('.comment-body').appendChild(replyButton);
+    }
+
+    if (replies.length) {
+      const list = document.createElement('ol');
+      list.className = 'comment-replies';
+      replies.forEach(reply => list.appendChild(this.createCommentElement(reply, depth + 1)));
+      item.appendChild(list);
+    }
+
+    return item;
+  }
+
+  toggleReplyForm(item, button, parentId) {
+    const existing = item.querySelector(':scope > .comment-body > .comment-form');
+    if (existing) {
+      existing.remove();
+      button.setAttribute('aria-expanded', 'false');
+      return;
+    }
+
+    const form = this.createForm(parentId);
+    item.querySelector('.comment-body').appendChild(form);
+    button.setAttribute('aria-expanded', 'true');
+    form.querySelector('textarea').focus();
+  }
+
+  createForm(parentId) {
+    const form = document.createElement('form');
+    form.className = 'comment-form';
+    const id = utils.generateId('comment');
+
+    form.innerHTML = `
+      <div class="form-group">
+        <label for="${id}-author">Name *</label>
+        <input type="text" id="${id}-author" name="author" class="glass-input" maxlength="${CommentsSection.LIMITS.author}" autocomplete="name" required>
+      </div>
+      <div class="form-group">
+        <label for="${id}-text">${parentId ? 'Antwort' : 'Kommentar'} *</label>
+        <textarea id="${id}-text" name="text" class="glass-textarea" rows="4" maxlength="${CommentsSection.LIMITS.text}" aria-describedby="${id}-hint" required></textarea>
+        <p class="comment-hint" id="${id}-hint">**fett**, *kursiv*, \`Code\`, [Link](https://…) und &gt; Zitate gehen.</p>
+      </div>
+      <div class="comment-honeypot" aria-hidden="true">
+        <label for="${id}-website">Website</label>
+        <input type="text" id="${id}-website" name="website" tabindex="-1" autocomplete="off">
+      </div>
+      <button type="submit" class="btn btn-primary btn-small">${parentId ? 'Antworten' : 'Kommentieren'}</button>
+      <p class="form-status" role="status"></p>
+    `;
+
+    // Remember the name for the next comment
+    const authorInput = form.querySelector('[name="author"]');
+    authorInput.value = utils.storage.get(CommentsSection.AUTHOR_KEY, '');
+
+    // Time from showing the form to sending it - bots are faster than people
+    const shownAt = Date.now();
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit(form, parentId, Date.now() - shownAt);
+    });
+
+    return form;
+  }
+
+  async submit(form, parentId, elapsed) {
+    const button = form.querySelector('button[type="submit"]');
+    const status = form.querySelector('.form-status');
+    const data = Object.fromEntries(new FormData(form).entries());
+
+    button.disabled = true;
+    status.className = 'form-status';
+
+    try {
+      const comment = await this.adapter.create(this.postKey, {
+        parentId,
+        author: data.author.trim(),
+        text: data.text.trim(),
+        website: data.website,
+        elapsed
+      });
+
+      utils.storage.set(CommentsSection.AUTHOR_KEY, comment.author);
+
+      if (comment.status === 'approved') {
+        this.comments.push(comment);
+      } else {
+        this.savePending([...this.getPending(), comment]);
+      }
+
+      this.render();
+      form.reset();
+      form.querySelector('[name="author"]').value = comment.author;
+
+      // Jump to the new comment; reply forms were re-rendered away
+      const element = document.getElementById(`comment-${comment.id}`);
+      if (element) {
+        element.classList.add('is-new');
+        element.scrollIntoView({ block: 'nearest', behavior: utils.prefersReducedMotion() ? 'auto' : 'smooth' });
+      }
+
+      if (!parentId) {
+        status.className = 'form-status success';
+        status.textContent = comment.status === 'approved'
+          ? 'Danke für deinen Kommentar!'
+          : 'Danke! Dein Kommentar erscheint, sobald er freigegeben ist.';
+      }
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      status.className = 'form-status error';
+      status.textContent = error.status === 429
+        ? 'Du hast gerade viele Kommentare geschrieben. Bitte warte ein paar Minuten.'
+        : 'Der Kommentar konnte nicht gesendet werden. Bitte versuche es erneut.';
+    } finally {
+      button.disabled = false;
+    }
+  }
+}
+
+CommentsSection.adapters = {
+  http: options => new HttpCommentsAdapter(options)
+};
+
+// Replies nest at most this deep
+CommentsSection.MAX_DEPTH = 3;
+// Mirrors LIMITS in server/comments-server.js
+CommentsSection.LIMITS = { author: 80, text: 2000 };
+
+CommentsSection.PENDING_KEY = 'comments-pending';
+CommentsSection.PENDING_TTL = 30 * 24 * 60 * 60 * 1000;
+CommentsSection.AUTHOR_KEY = 'comments-author';
+
+// Set up once the post is known - drafts in preview get no comments
+document.addEventListener('post:loaded', (e) => {
+  const container = document.getElementById('comments');
+  if (!container || !PostRepository.isViewable(e.detail.post)) return;
+
+  window.comments = new CommentsSection(container, e.detail.post);
+});
+
+// Export classes
+window.CommentsAdapter = CommentsAdapter;
+window.HttpCommentsAdapter = HttpCommentsAdapter;
+window.CommentsSection = CommentsSection;
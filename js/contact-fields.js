@@ -0,0 +1,77 @@
+/**
+ * Contact Service Fields
+ * Follow-up questions for the selected service: every
+ * <fieldset data-service-fields="language"> in the contact form is shown
+ * while #service has that value. Hidden groups are disabled as well, so
+ * their fields are neither validated nor sent.
+ *
+ * Query parameters prefill the form - contact.html?service=language&package=10h
+ */
+
+class ContactServiceFields {
+  constructor(form) {
+    this.form = form;
+    this.select = form.querySelector('[name="service"]');
+    this.groups = [...form.querySelectorAll('[data-service-fields]')];
+
+    if (this.select) this.init();
+  }
+
+  init() {
+    this.prefill(new URLSearchParams(window.location.search));
+    this.update();
+
+    this.select.addEventListener('change', () => this.update());
+    // The values change only after the reset event
+    this.form.addEventListener('reset', () => setTimeout(() => this.update(), 0));
+  }
+
+  // Only known fields and, for selects, only values they offer
+  prefill(params) {
+    const service = params.get('service');
+    if (service && !this.setValue(this.select, service)) return;
+
+    const group = this.getGroup(this.select.value);
+    if (!group) return;
+
+    params.forEach((value, name) => {
+      const field = group.elements.namedItem(name);
+      if (field) this.setValue(field, value);
+    });
+  }
+
+  setValue(field, value) {
+    if (field.tagName === 'SELECT' && ![...field.options].some(option => option.value === value)) {
+      return false;
+    }
+
+    field.value = value;
+    return true;
+  }
+
+  getGroup(service) {
+    return this.groups.find(group => group.dataset.serviceFields === service) || null;
+  }
+
+  update() {
+    const active = this.getGroup(this.select.value);
+
+    this.groups.forEach(group => {
+      group.hidden = group !== active;
+      group.disabled = group !== active;
+    });
+  }
+}
+
+// Deadlines lie ahead - type="date" values (YYYY-MM-DD) compare as text
+FormValidator.registerRule('future', {
+  test: (value) => {
+    const now = new Date();
+    const today = new Date(now.getTime() - now.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 10);
+    return value >= today;
+  },
+  message: () => 'Bitte wähle ein Datum in der Zukunft.'
+});
+
+// Export class
+window.ContactServiceFields = ContactServiceFields;
@@ -0,0 +1,322 @@
+/**
+ * Contact Outbox
+ * Contact messages that couldn't be sent wait in IndexedDB and are retried once
+ * the connection is back - from sw.js via Background Sync where browsers
+ * support it, from the page on "online" otherwise. Also loaded by sw.js,
+ * so ContactOutbox itself stays free of DOM access.
+ */
+
+class ContactOutbox {
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  static open() {
+    if (!ContactOutbox.db) {
+      ContactOutbox.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(ContactOutbox.DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(ContactOutbox.STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return ContactOutbox.db;
+  }
+
+  // Runs one request in its own transaction and resolves once it's committed
+  static async run(mode, operation) {
+    const db = await ContactOutbox.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(ContactOutbox.STORE, mode);
+      const request = operation(transaction.objectStore(ContactOutbox.STORE));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Oldest first
+  static async all() {
+    const entries = await ContactOutbox.run('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Queue a message: data as the transport sends it, summary for showing it,
+   * options for the HttpContactTransport that retries it
+   */
+  static async add({ data, summary, options }) {
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      data,
+      summary,
+      options,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      createdAt: new Date().toISOString()
+    };
+
+    await ContactOutbox.run('readwrite', store => store.put(entry));
+    ContactOutbox.notify({ type: 'change' });
+    return entry;
+  }
+
+  static async put(entry) {
+    await ContactOutbox.run('readwrite', store => store.put(entry));
+    ContactOutbox.notify({ type: 'change' });
+  }
+
+  static async remove(id) {
+    await ContactOutbox.run('readwrite', store => store.delete(id));
+    ContactOutbox.notify({ type: 'change' });
+  }
+
+  // Worth another try later - as opposed to messages the server refused
+  static isRetryable(error) {
+    if (error.reason === 'network' || error.reason === 'timeout') return true;
+    return error.reason === 'http' && (error.status >= 500 || [408, 429].includes(error.status));
+  }
+
+  /**
+   * Send every queued message - one flush at a time across tabs and the worker
+   * Resolves to { sent, failed, remaining }
+   */
+  static flush() {
+    // Callers in the same page share the running flush
+    if (!ContactOutbox.flushing) {
+      const work = () => ContactOutbox.sendQueued();
+      const flushing = typeof navigator !== 'undefined' && navigator.locks
+        ? navigator.locks.request(ContactOutbox.LOCK_NAME, work)
+        : work();
+
+      ContactOutbox.flushing = flushing.finally(() => { ContactOutbox.flushing = null; });
+    }
+    return ContactOutbox.flushing;
+  }
+
+  static async sendQueued() {
+    const entries = (await ContactOutbox.all()).filter(entry => entry.status === 'queued');
+    const result = { sent: 0, failed: 0, remaining: 0 };
+
+    for (const [index, entry] of entries.entries()) {
+      try {
+        await new HttpContactTransport(entry.options).send(entry.data);
+        await ContactOutbox.remove(entry.id);
+        ContactOutbox.notify({ type: 'sent', id: entry.id });
+        result.sent++;
+      } catch (error) {
+        entry.attempts++;
+        entry.error = { reason: error.reason || null, status: error.status || null, message: error.message };
+
+        if (!ContactOutbox.isRetryable(error) || entry.attempts >= ContactOutbox.MAX_ATTEMPTS) {
+          entry.status = 'failed';
+          result.failed++;
+        } else {
+          result.remaining++;
+        }
+        await ContactOutbox.put(entry);
+        if (entry.status === 'failed') ContactOutbox.notify({ type: 'failed', id: entry.id });
+
+        // Still no connection - the others would fail the same way
+        if (error.reason === 'network') {
+          result.remaining += entries.length - index - 1;
+          break;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Background Sync through sw.js - false where browsers don't have it
+  static async requestSync() {
+    if (typeof window === 'undefined' || !('serviceWorker' in navigator) || !('SyncManager' in window)) return false;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.sync.register(ContactOutbox.SYNC_TAG);
+      return true;
+    } catch (error) {
+      console.warn('Background Sync not available:', error);
+      return false;
+    }
+  }
+
+  // Tells pages and the worker about changes - they re-read the queue
+  static notify(message) {
+    if (typeof BroadcastChannel === 'undefined') return;
+
+    if (!ContactOutbox.channel) {
+      ContactOutbox.channel = new BroadcastChannel(ContactOutbox.CHANNEL_NAME);
+    }
+    ContactOutbox.channel.postMessage(message);
+  }
+
+  static subscribe(callback) {
+    if (typeof BroadcastChannel === 'undefined') return;
+
+    const channel = new BroadcastChannel(ContactOutbox.CHANNEL_NAME);
+    channel.addEventListener('message', (e) => callback(e.data));
+  }
+}
+
+ContactOutbox.DB_NAME = 'contact-outbox';
+ContactOutbox.STORE = 'messages';
+ContactOutbox.SYNC_TAG = 'contact-outbox';
+ContactOutbox.LOCK_NAME = 'contact-outbox';
+ContactOutbox.CHANNEL_NAME = 'contact-outbox';
+ContactOutbox.WORKER_URL = 'sw.js';
+// After that many failed tries a message is kept as failed instead of retried
+ContactOutbox.MAX_ATTEMPTS = 10;
+ContactOutbox.db = null;
+ContactOutbox.channel = null;
+ContactOutbox.flushing = null;
+
+/**
+ * Contact Outbox List
+ * Shows waiting and failed messages below the contact form, with ways to
+ * send them right away, send them by mail or drop them
+ */
+class ContactOutboxList {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.list = container.querySelector('.contact-outbox-list');
+    this.email = options.email || '';
+    this.onSent = options.onSent || (() => {});
+    // Called with the entry when a message can't be delivered at all
+    this.onFailed = options.onFailed || (() => {});
+    this.retryTimer = null;
+
+    this.init();
+  }
+
+  init() {
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-outbox-action]');
+      if (button) this.handleAction(button.dataset.outboxAction, button.closest('[data-outbox-id]').dataset.outboxId);
+    });
+
+    ContactOutbox.subscribe(async message => {
+      const entries = await this.render();
+      if (message.type === 'sent') this.onSent();
+
+      // Without an endpoint, the mail program is the only way left
+      const entry = message.type === 'failed' && entries.find(candidate => candidate.id === message.id);
+      if (entry && FallbackContactTransport.isMissing(entry.error || {})) this.onFailed(entry);
+    });
+
+    window.addEventListener('online', () => this.retry());
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register(ContactOutbox.WORKER_URL)
+        .catch(error => console.warn('Service worker registration failed:', error));
+    }
+
+    // Messages left over from an earlier visit
+    this.render().then(entries => {
+      if (navigator.onLine && entries.some(entry => entry.status === 'queued')) this.retry();
+    });
+  }
+
+  async add(data, summary, options) {
+    await ContactOutbox.add({ data, summary, options });
+    await this.render();
+
+    if (!(await ContactOutbox.requestSync()) && navigator.onLine) {
+      // Online, but the server didn't answer - try again in a while
+      clearTimeout(this.retryTimer);
+      this.retryTimer = setTimeout(() => this.retry(), ContactOutboxList.RETRY_DELAY);
+    }
+  }
+
+  async retry() {
+    // Sent messages are announced through ContactOutbox.subscribe
+    try {
+      await ContactOutbox.flush();
+    } catch (error) {
+      console.error('Error sending queued messages:', error);
+    }
+    await this.render();
+  }
+
+  async handleAction(action, id) {
+    if (action === 'cancel') {
+      await ContactOutbox.remove(id);
+      await this.render();
+      return;
+    }
+
+    if (action === 'retry') {
+      // Failed messages get another chance when asked for explicitly
+      const entry = (await ContactOutbox.all()).find(candidate => candidate.id === id);
+      if (entry && entry.status === 'failed') {
+        await ContactOutbox.put({ ...entry, status: 'queued', attempts: 0 });
+      }
+      await this.retry();
+    }
+  }
+
+  // Resolves to the entries it shows
+  async render() {
+    let entries = [];
+    try {
+      entries = await ContactOutbox.all();
+    } catch (error) {
+      console.error('Error reading queued messages:', error);
+    }
+
+    this.container.hidden = entries.length === 0;
+    this.list.innerHTML = entries.map(entry => this.renderEntry(entry)).join('');
+    return entries;
+  }
+
+  renderEntry(entry) {
+    const field = name => (entry.summary || []).find(item => item.name === name);
+    const service = field('service');
+    const message = entry.data.message || '';
+    const preview = message.length > 120 ? `${message.slice(0, 120)}…` : message;
+    const date = new Date(entry.createdAt).toLocaleString('de-DE', {
+      day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+    });
+
+    const failed = entry.status === 'failed';
+    // Another try won't help when there is no endpoint - only the mail does
+    const missing = failed && FallbackContactTransport.isMissing(entry.error || {});
+    const state = missing
+      ? 'Nicht gesendet: Hier gibt es keinen Server, der Nachrichten annimmt. Bitte sende sie per E-Mail.'
+      : failed
+        ? `Nicht gesendet: ${ContactForm.getErrorMessage(entry.error || {})}`
+        : `Wartet auf Verbindung${entry.attempts ? ` · ${entry.attempts} ${entry.attempts === 1 ? 'Versuch' : 'Versuche'}` : ''}`;
+    const mailUrl = this.email
+      ? new MailtoContactTransport({ email: this.email }).createUrl(entry.data, entry.summary)
+      : '';
+
+    return `
+      <li class="contact-outbox-item${failed ? ' is-failed' : ''}" data-outbox-id="${utils.escapeHtml(entry.id)}">
+        <p class="contact-outbox-meta">
+          <strong>${utils.escapeHtml(service && service.value ? service.value : 'Nachricht')}</strong>
+          <time datetime="${utils.escapeHtml(entry.createdAt)}">${utils.escapeHtml(date)}</time>
+        </p>
+        <p class="contact-outbox-preview">${utils.escapeHtml(preview)}</p>
+        <p class="contact-outbox-state">${utils.escapeHtml(state)}</p>
+        <div class="contact-outbox-actions">
+          ${missing ? '' : '<button type="button" class="btn btn-secondary btn-small" data-outbox-action="retry">Jetzt senden</button>'}
+          ${mailUrl ? `<a class="btn ${missing ? 'btn-primary' : 'btn-secondary'} btn-small" href="${utils.escapeHtml(mailUrl)}">Per E-Mail senden</a>` : ''}
+          <button type="button" class="btn btn-secondary btn-small" data-outbox-action="cancel">Verwerfen</button>
+        </div>
+      </li>
+    `;
+  }
+}
+
+// Retry without Background Sync when the server was down, not the connection (ms)
+ContactOutboxList.RETRY_DELAY = 60 * 1000;
+
+// Export classes
+window.ContactOutbox = ContactOutbox;
+window.ContactOutboxList = ContactOutboxList;
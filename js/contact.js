@@ -0,0 +1,527 @@
+/**
+ * Contact
+ * Delivers the contact form through an interchangeable transport: an HTTP
+ * endpoint (JSON or form-encoded, e.g. server/contact-server.js) or the
+ * visitor's own mail program. Bots are kept out without a third-party captcha.
+ */
+
+/**
+ * Transport interface - send(data, { summary }) resolves to { delivered }:
+ * true once a server accepted the message, false when it was only handed to
+ * the mail program. Failures reject with an Error carrying a reason
+ * ("timeout", "network", "http" or "spam") and, for "http", the status.
+ * summary lists the fields as { name, label, value } in form order.
+ * prepare() is optional - it may start slow work (a proof of work) early.
+ */
+
+/**
+ * Proof of Work
+ * Hashcash-style: find a nonce so that SHA-256("<challenge>:<nonce>") starts
+ * with `difficulty` zero bits - mirrors server/lib/proof-of-work.js
+ */
+class ProofOfWork {
+  static async solve(challenge, difficulty) {
+    if (difficulty > ProofOfWork.MAX_DIFFICULTY) {
+      throw new Error(`Proof of work difficulty ${difficulty} is too high`);
+    }
+
+    const encoder = new TextEncoder();
+    for (let nonce = 0; ; nonce++) {
+      const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+      if (ProofOfWork.leadingZeroBits(new Uint8Array(hash)) >= difficulty) return nonce;
+    }
+  }
+
+  static leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+    return bits;
+  }
+}
+
+// About a million hashes on average - more would freeze slow phones
+ProofOfWork.MAX_DIFFICULTY = 20;
+
+// Any endpoint that takes a POST - our own server or a form service
+class HttpContactTransport {
+  constructor(options = {}) {
+    this.url = options.url || 'api/contact';
+    this.encoding = options.encoding === 'form' ? 'form' : 'json';
+    this.timeout = Number(options.timeout) || HttpContactTransport.TIMEOUT;
+    // Endpoint for proof-of-work challenges - optional
+    this.challengeUrl = options.challengeUrl || null;
+    this.token = null;
+    // Set once the server answered - static hosts only ever say "not found"
+    this.confirmed = false;
+  }
+
+  // fetch with a timeout - failures carry a reason
+  async request(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    let response;
+
+    try {
+      response = await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      const timedOut = error.name === 'AbortError';
+      const failure = new Error(timedOut ? `No response within ${this.timeout}ms` : `Network error: ${error.message}`);
+      failure.reason = timedOut ? 'timeout' : 'network';
+      throw failure;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!FallbackContactTransport.MISSING_STATUSES.includes(response.status)) {
+      this.confirmed = true;
+    }
+
+    if (!response.ok) {
+      let body = {};
+      try {
+        body = await response.json();
+      } catch (parseError) {
+        // Not every endpoint explains its errors
+      }
+
+      const error = new Error(body.error || `HTTP error! status: ${response.status}`);
+      error.reason = body.reason === 'spam' ? 'spam' : 'http';
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  // Fetches and solves a challenge while the visitor is still typing
+  prepare() {
+    if (!this.challengeUrl) return Promise.resolve(null);
+
+    if (!this.token) {
+      this.token = this.solveChallenge();
+    }
+    return this.token;
+  }
+
+  async solveChallenge() {
+    let response;
+    try {
+      response = await this.request(this.challengeUrl, { headers: { Accept: 'application/json' } });
+    } catch (error) {
+      // Endpoints without proof of work don't need a token
+      if (FallbackContactTransport.isMissing(error)) return null;
+      throw error;
+    }
+
+    const { challenge, difficulty, expiresAt } = await response.json();
+    const nonce = await ProofOfWork.solve(challenge, difficulty);
+    return { challenge, nonce, expiresAt };
+  }
+
+  // A token works once and only until it expires - a failed or stale one is replaced
+  async getToken() {
+    try {
+      const token = await this.prepare();
+      if (!token || Date.parse(token.expiresAt) > Date.now()) return token;
+    } catch (error) {
+      console.warn('Proof of work failed, trying a new challenge:', error);
+    }
+
+    this.token = null;
+    return this.prepare();
+  }
+
+  async send(data) {
+    const token = await this.getToken();
+    this.token = null;
+
+    const body = token ? { ...data, challenge: token.challenge, nonce: token.nonce } : data;
+    const isForm = this.encoding === 'form';
+
+    await this.request(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': isForm ? 'application/x-www-form-urlencoded' : 'application/json',
+        Accept: 'application/json'
+      },
+      body: isForm ? new URLSearchParams(body).toString() : JSON.stringify(body)
+    });
+
+    return { delivered: true };
+  }
+}
+
+HttpContactTransport.TIMEOUT = 10000;
+
+// Opens a prefilled mail - works on any host, but sending is up to the visitor
+class MailtoContactTransport {
+  constructor(options = {}) {
+    this.email = options.email || '';
+    this.subject = options.subject || 'Kontaktanfrage';
+  }
+
+  createUrl(data, summary = []) {
+    const details = summary
+      .filter(field => field.name !== 'message' && field.value)
+      .map(field => `${field.label}: ${field.value}`);
+    const body = [...details, '', data.message || ''].join('\r\n').trim();
+    const subject = data.name ? `${this.subject} von ${data.name}` : this.subject;
+
+    return `mailto:${this.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  }
+
+  async send(data, { summary } = {}) {
+    if (!this.email) throw new Error('The mailto transport needs a recipient address');
+
+    window.location.href = this.createUrl(data, summary);
+    return { delivered: false };
+  }
+}
+
+/**
+ * Server when there is one, mail program when there isn't
+ * Only a missing endpoint falls back - a server that answers with an error
+ * (or too late) may have the message already, and without a connection the
+ * message waits in the outbox (js/contact-outbox.js) instead
+ */
+class FallbackContactTransport {
+  constructor(primary, fallback) {
+    this.primary = primary;
+    this.fallback = fallback;
+  }
+
+  // The endpoint answered, so a queued message can go out there later
+  get confirmed() {
+    return Boolean(this.primary.confirmed);
+  }
+
+  // The endpoint isn't there - as opposed to a server that failed
+  static isMissing(error) {
+    return error.reason === 'http' && FallbackContactTransport.MISSING_STATUSES.includes(error.status);
+  }
+
+  prepare() {
+    return this.primary.prepare ? this.primary.prepare() : Promise.resolve(null);
+  }
+
+  async send(data, details) {
+    try {
+      return await this.primary.send(data, details);
+    } catch (error) {
+      if (!FallbackContactTransport.isMissing(error)) throw error;
+
+      console.warn('Contact endpoint not available, using the mail program:', error);
+      return this.fallback.send(data, details);
+    }
+  }
+}
+
+// Responses of a static host without the contact endpoint
+FallbackContactTransport.MISSING_STATUSES = [404, 405, 501];
+
+/**
+ * Spam Guard
+ * Checks that run before anything is sent: the honeypot, the time it took
+ * to fill in the form and how many messages this browser sent lately.
+ * Rejections carry the reason "spam", "too-fast" or "rate-limit".
+ */
+class ContactSpamGuard {
+  constructor(form, options = {}) {
+    this.form = form;
+    this.minFillTime = options.minFillTime || ContactSpamGuard.MIN_FILL_TIME;
+    this.limit = options.limit || ContactSpamGuard.LIMIT;
+    this.window = options.window || ContactSpamGuard.WINDOW;
+    // Time from showing the form to sending it - bots are faster than people
+    this.shownAt = Date.now();
+  }
+
+  elapsed() {
+    return Date.now() - this.shownAt;
+  }
+
+  // Send times within the window, oldest first
+  getRecent(now = Date.now()) {
+    return utils.storage.get(ContactSpamGuard.STORAGE_KEY, [])
+      .filter(time => typeof time === 'number' && now - time < this.window);
+  }
+
+  check(data) {
+    const reject = (reason, message) => {
+      const error = new Error(message);
+      error.reason = reason;
+      throw error;
+    };
+
+    if (data.website) reject('spam', 'Honeypot field was filled in');
+    if (this.elapsed() < this.minFillTime) reject('too-fast', `Form sent after ${this.elapsed()}ms`);
+    if (this.getRecent().length >= this.limit) reject('rate-limit', `${this.limit} messages sent from this browser already`);
+  }
+
+  // Only delivered (or queued) messages count towards the limit
+  record(now = Date.now()) {
+    utils.storage.set(ContactSpamGuard.STORAGE_KEY, [...this.getRecent(now), now]);
+  }
+}
+
+// Mirrors MIN_FILL_TIME in server/lib/spam.js (ms)
+ContactSpamGuard.MIN_FILL_TIME = 3000;
+ContactSpamGuard.LIMIT = 3;
+ContactSpamGuard.WINDOW = 60 * 60 * 1000;
+ContactSpamGuard.STORAGE_KEY = 'contact-sent';
+
+class ContactForm {
+  constructor(form, transport = ContactForm.createTransport(form)) {
+    this.form = form;
+    this.transport = transport;
+    this.status = document.getElementById('form-status');
+    this.submitButton = form.querySelector('button[type="submit"]');
+    this.submitLabel = this.submitButton ? this.submitButton.textContent.trim() : '';
+    this.guard = new ContactSpamGuard(form);
+    this.serviceFields = window.ContactServiceFields ? new ContactServiceFields(form) : null;
+    this.outbox = null;
+    this.sending = false;
+
+    this.init();
+  }
+
+  /**
+   * Transport from the form's data attributes:
+   * data-contact-transport="auto|http|mailto", data-contact-url,
+   * data-contact-encoding="json|form", data-contact-email, data-contact-timeout,
+   * data-contact-challenge-url (proof of work, optional)
+   */
+  static createTransport(form) {
+    const name = form.dataset.contactTransport || 'auto';
+    const factory = ContactForm.transports[name];
+    if (!factory) throw new Error(`Unknown contact transport "${name}"`);
+
+    return factory(ContactForm.getTransportOptions(form));
+  }
+
+  // Plain values only - queued messages keep them in IndexedDB
+  static getTransportOptions(form) {
+    const data = form.dataset;
+    const options = {
+      url: data.contactUrl,
+      encoding: data.contactEncoding,
+      email: data.contactEmail,
+      timeout: data.contactTimeout,
+      challengeUrl: data.contactChallengeUrl
+    };
+
+    Object.keys(options).forEach(key => {
+      if (options[key] === undefined) delete options[key];
+    });
+    return options;
+  }
+
+  // Hook for other services: ContactForm.registerTransport('name', options => transport)
+  static registerTransport(name, factory) {
+    ContactForm.transports[name] = factory;
+  }
+
+  init() {
+    this.form.addEventListener('submit', (e) => this.submit(e));
+
+    // The proof of work runs while the visitor types, not after they hit send
+    this.form.addEventListener('focusin', () => {
+      if (!this.transport.prepare) return;
+      this.transport.prepare().catch(error => console.warn('Could not prepare the contact form:', error));
+    }, { once: true });
+
+    this.setupOutbox();
+  }
+
+  // Messages that can't go out right now wait in #contact-outbox
+  setupOutbox() {
+    const container = document.getElementById('contact-outbox');
+    const usesServer = this.form.dataset.contactTransport !== 'mailto';
+    if (!container || !usesServer || !window.ContactOutboxList || !ContactOutbox.isSupported()) return;
+
+    this.outbox = new ContactOutboxList(container, {
+      email: this.form.dataset.contactEmail,
+      onSent: () => this.showStatus('success', 'Deine gespeicherte Nachricht wurde gesendet! Ich melde mich bald bei dir.'),
+      onFailed: (entry) => {
+        this.showStatus('error', 'Eine gespeicherte Nachricht konnte nicht zugestellt werden - es gibt hier keinen Server, der sie annimmt.');
+        this.offerMail(entry.data, entry.summary);
+      }
+    });
+  }
+
+  /**
+   * Queued messages are retried over HTTP - worth it only once the endpoint
+   * answered (or the form is set up for HTTP only). On a static host the
+   * retry would get a 404 and the message would be stuck in the outbox.
+   */
+  canQueue() {
+    if (!this.outbox) return false;
+    return Boolean(this.transport.confirmed) || this.form.dataset.contactTransport === 'http';
+  }
+
+  getData() {
+    const data = {};
+    new FormData(this.form).forEach((value, name) => {
+      data[name] = typeof value === 'string' ? value.trim() : value;
+    });
+    return data;
+  }
+
+  // Labels and visible values (option texts, not their values) for the mail body
+  getSummary() {
+    return [...this.form.elements]
+      .filter(field => field.name && !['submit', 'button', 'hidden'].includes(field.type))
+      // Questions for other services aren't sent
+      .filter(field => !field.matches(':disabled'))
+      // The honeypot is for bots only
+      .filter(field => !field.closest('[aria-hidden="true"]'))
+      .map(field => {
+        const label = field.labels && field.labels[0] ? field.labels[0].textContent : field.name;
+        const value = field.tagName === 'SELECT' && field.selectedIndex > 0
+          ? field.options[field.selectedIndex].textContent
+          : field.value;
+
+        return { name: field.name, label: label.replace(/\s*\*$/, '').trim(), value: value.trim() };
+      });
+  }
+
+  async submit(e) {
+    e.preventDefault();
+    if (this.sending) return;
+
+    const data = this.getData();
+    const summary = this.getSummary();
+    let payload = data;
+
+    this.setSending(true);
+    this.showStatus('info', 'Nachricht wird gesendet …');
+
+    try {
+      this.guard.check(data);
+      payload = { ...data, elapsed: this.guard.elapsed() };
+
+      // Offline there is no point in waiting for a timeout
+      if (navigator.onLine === false && this.canQueue()) {
+        await this.queue(payload, summary);
+        return;
+      }
+
+      const { delivered } = await this.transport.send(payload, { summary });
+
+      if (delivered) {
+        this.guard.record();
+        this.showStatus('success', 'Nachricht erfolgreich gesendet! Ich melde mich bald bei dir.');
+        this.form.reset();
+      } else {
+        this.showStatus('info', 'Dein E-Mail-Programm wurde mit der Nachricht geöffnet - bitte sende sie dort ab.');
+      }
+    } catch (error) {
+      console.error('Contact form error:', error);
+
+      if (ContactOutbox.isRetryable(error) && this.canQueue()) {
+        try {
+          await this.queue(payload, summary);
+          return;
+        } catch (queueError) {
+          console.error('Error queueing the message:', queueError);
+        }
+      }
+
+      // Rejected as spam is not the same as failed to deliver
+      const rejected = ContactForm.REJECTIONS.includes(error.reason);
+      this.showStatus(rejected ? 'warning' : 'error', ContactForm.getErrorMessage(error));
+      if (error.reason !== 'too-fast') this.offerMail(data, summary);
+    } finally {
+      this.setSending(false);
+    }
+  }
+
+  async queue(payload, summary) {
+    await this.outbox.add(payload, summary, ContactForm.getTransportOptions(this.form));
+    this.guard.record();
+    this.form.reset();
+    this.showStatus('info', 'Gerade besteht keine Verbindung zum Server. Deine Nachricht ist auf diesem Gerät gespeichert - sobald die Verbindung wieder da ist, versuche ich sie erneut zu senden. Ob es geklappt hat, siehst du unter „Wartende Nachrichten“.');
+  }
+
+  static getErrorMessage(error) {
+    if (error.reason === 'spam') {
+      return 'Deine Nachricht wurde als Spam eingestuft und nicht zugestellt. Falls das ein Irrtum ist, schreib mir gern direkt.';
+    }
+    if (error.reason === 'too-fast') {
+      return 'Das ging sehr schnell! Bitte prüfe deine Nachricht und sende sie in ein paar Sekunden noch einmal.';
+    }
+    if (error.reason === 'rate-limit') {
+      return 'Du hast in der letzten Stunde schon mehrere Nachrichten gesendet. Bitte warte etwas, bevor du die nächste schickst.';
+    }
+    if (error.reason === 'timeout') {
+      return 'Der Server hat nicht rechtzeitig geantwortet. Deine Nachricht ist vielleicht nicht angekommen.';
+    }
+    if (error.reason === 'network') {
+      return 'Keine Verbindung zum Server. Bitte prüfe deine Internetverbindung und versuche es erneut.';
+    }
+
+    switch (error.status) {
+      case 400:
+      case 422:
+        return 'Bitte prüfe deine Angaben - so konnte die Nachricht nicht angenommen werden.';
+      case 413:
+        return 'Die Nachricht ist zu lang.';
+      case 429:
+        return 'Zu viele Nachrichten in kurzer Zeit. Bitte warte ein paar Minuten.';
+      default:
+        return 'Fehler beim Senden. Bitte versuche es erneut.';
+    }
+  }
+
+  // Nothing gets lost: after a failure the message can still go out by mail
+  offerMail(data, summary) {
+    const email = this.form.dataset.contactEmail;
+    if (!email || !this.status) return;
+
+    const link = document.createElement('a');
+    link.href = new MailtoContactTransport({ email }).createUrl(data, summary);
+    link.textContent = 'Nachricht stattdessen per E-Mail senden';
+
+    this.status.append(' ', link);
+  }
+
+  setSending(sending) {
+    this.sending = sending;
+    this.form.setAttribute('aria-busy', String(sending));
+
+    if (this.submitButton) {
+      this.submitButton.disabled = sending;
+      this.submitButton.textContent = sending ? 'Senden...' : this.submitLabel;
+    }
+  }
+
+  showStatus(type, message) {
+    if (!this.status) return;
+
+    this.status.className = `form-status ${type}`;
+    this.status.textContent = message;
+  }
+}
+
+// Reasons that mean "not accepted" rather than "not delivered"
+ContactForm.REJECTIONS = ['spam', 'too-fast', 'rate-limit'];
+
+ContactForm.transports = {
+  http: options => new HttpContactTransport(options),
+  mailto: options => new MailtoContactTransport(options),
+  auto: options => new FallbackContactTransport(new HttpContactTransport(options), new MailtoContactTransport(options))
+};
+
+// Export classes
+window.ProofOfWork = ProofOfWork;
+window.HttpContactTransport = HttpContactTransport;
+window.MailtoContactTransport = MailtoContactTransport;
+window.FallbackContactTransport = FallbackContactTransport;
+window.ContactSpamGuard = ContactSpamGuard;
+window.ContactForm = ContactForm;
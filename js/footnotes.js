@@ -0,0 +1,172 @@
+/**
+ * Footnotes
+ * Links footnote references and notes in both directions and previews
+ * a note next to its reference on hover or focus
+ */
+
+class Footnotes {
+  constructor(content) {
+    this.content = content;
+    this.refs = [];
+    this.preview = null;
+    this.hideTimer = null;
+
+    if (this.content) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.refs = [...this.content.querySelectorAll(Footnotes.REF_SELECTOR)]
+      .map(link => ({ link, note: this.findNote(link) }))
+      .filter(ref => ref.note);
+
+    if (this.refs.length === 0) return;
+
+    this.linkNotes();
+    this.setupPreview();
+  }
+
+  findNote(link) {
+    let id = link.getAttribute('href').slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch (error) {
+      // Keep the raw id if it isn't valid URI encoding
+    }
+
+    const note = document.getElementById(id);
+    return note && this.content.contains(note) ? note : null;
+  }
+
+  /**
+   * Every reference gets an anchor and every note a way back to each of its
+   * references - the markdown build only links back to the first one
+   */
+  linkNotes() {
+    const usedIds = new Set([...document.querySelectorAll('[id]')].map(el => el.id));
+    const refsByNote = new Map();
+
+    this.refs.forEach(({ link, note }) => {
+      const anchor = link.closest('sup') || link;
+      if (!anchor.id) {
+        const base = `fnref-${note.id}`;
+        let id = base;
+        let counter = 2;
+        while (usedIds.has(id)) {
+          id = `${base}-${counter++}`;
+        }
+        anchor.id = id;
+        usedIds.add(id);
+      }
+
+      link.setAttribute('role', 'doc-noteref');
+      link.setAttribute('aria-describedby', note.id);
+
+      if (!refsByNote.has(note)) refsByNote.set(note, []);
+      refsByNote.get(note).push(anchor.id);
+    });
+
+    refsByNote.forEach((anchorIds, note) => {
+      const existing = new Set([...note.querySelectorAll('.footnote-backref')]
+        .map(backref => backref.getAttribute('href')));
+      // Backrefs end the note's last paragraph, like the ones from the build
+      const target = [...note.children].filter(child => child.tagName === 'P').pop() || note;
+
+      anchorIds.forEach((anchorId, index) => {
+        if (existing.has(`#${anchorId}`)) return;
+
+        const backref = document.createElement('a');
+        backref.href = `#${anchorId}`;
+        backref.className = 'footnote-backref';
+        backref.setAttribute('aria-label', index === 0 ? 'Zurück zum Text' : `Zurück zum Text (${index + 1})`);
+        backref.innerHTML = index === 0 ? '↩' : `↩<sup>${index + 1}</sup>`;
+
+        target.append(' ', backref);
+      });
+
+      note.querySelectorAll('.footnote-backref').forEach(backref => {
+        backref.setAttribute('role', 'doc-backlink');
+      });
+    });
+
+    this.content.querySelectorAll('.footnotes').forEach(section => {
+      section.setAttribute('role', 'doc-endnotes');
+      section.setAttribute('aria-label', 'Fußnoten');
+    });
+  }
+
+  setupPreview() {
+    this.preview = document.createElement('div');
+    this.preview.className = 'footnote-preview glass';
+    this.preview.setAttribute('role', 'tooltip');
+    this.preview.hidden = true;
+    document.body.appendChild(this.preview);
+
+    this.refs.forEach(ref => {
+      ref.link.addEventListener('mouseenter', () => this.show(ref));
+      ref.link.addEventListener('focus', () => this.show(ref));
+      ref.link.addEventListener('mouseleave', () => this.scheduleHide());
+      ref.link.addEventListener('blur', () => this.scheduleHide());
+    });
+
+    // Moving the pointer into the preview keeps it open, e.g. to follow a link
+    this.preview.addEventListener('mouseenter', () => clearTimeout(this.hideTimer));
+    this.preview.addEventListener('mouseleave', () => this.scheduleHide());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !this.preview.hidden) this.hide();
+    });
+  }
+
+  show({ link, note }) {
+    clearTimeout(this.hideTimer);
+
+    // The note without its way back - that only makes sense down in the list
+    const clone = note.cloneNode(true);
+    clone.querySelectorAll('.footnote-backref').forEach(backref => backref.remove());
+    clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+
+    this.preview.innerHTML = clone.innerHTML;
+    this.preview.hidden = false;
+    this.position(link);
+  }
+
+  // Below the reference, or above it when the viewport ends too soon
+  position(link) {
+    const rect = link.getBoundingClientRect();
+    const width = this.preview.offsetWidth;
+    const height = this.preview.offsetHeight;
+    const viewportWidth = document.documentElement.clientWidth;
+    const margin = Footnotes.OFFSET;
+
+    const above = rect.bottom + margin + height > window.innerHeight && rect.top - margin - height > 0;
+    const top = above ? rect.top - margin - height : rect.bottom + margin;
+    const left = Math.min(
+      Math.max(margin, rect.left + rect.width / 2 - width / 2),
+      viewportWidth - width - margin
+    );
+
+    this.preview.classList.toggle('is-above', above);
+    this.preview.style.top = `${top + window.scrollY}px`;
+    this.preview.style.left = `${Math.max(margin, left) + window.scrollX}px`;
+  }
+
+  scheduleHide() {
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => this.hide(), Footnotes.HIDE_DELAY);
+  }
+
+  hide() {
+    clearTimeout(this.hideTimer);
+    this.preview.hidden = true;
+  }
+}
+
+// Markup of scripts/lib/markdown.js and the common a.footnote-ref variant
+Footnotes.REF_SELECTOR = '.footnote-ref a[href^="#"], a.footnote-ref[href^="#"]';
+Footnotes.OFFSET = 8;
+Footnotes.HIDE_DELAY = 200;
+
+// Export class
+window.Footnotes = Footnotes;
@@ -0,0 +1,237 @@
+/**
+ * Form Validation
+ * Declarative validation from data attributes with inline German error messages
+ *
+ * <form data-validate> checks its fields on blur and on submit:
+ *   data-required (or required)       field must not be empty
+ *   data-email (or type="email")      valid e-mail address
+ *   data-url (or type="url")          web address starting with http(s)://
+ *   data-minlength / data-maxlength   length limits (or minlength / maxlength)
+ *   data-pattern (or pattern)         regular expression for the whole value
+ *   data-rules="name other"           rules added with FormValidator.registerRule()
+ *   data-error-<rule>="..."           message for one rule on this field
+ *
+ * Disabled fields (or fields in a disabled fieldset) are skipped.
+ */
+
+class FormValidator {
+  constructor(form) {
+    this.form = form;
+    this.fields = [];
+    this.liveRegion = null;
+    this.touched = new WeakSet();
+
+    this.init();
+  }
+
+  // One validator per form - ContactForm and friends ask for the same instance
+  static for(form) {
+    if (!FormValidator.instances.has(form)) {
+      FormValidator.instances.set(form, new FormValidator(form));
+    }
+    return FormValidator.instances.get(form);
+  }
+
+  // Custom rule: FormValidator.registerRule('name', { test(value, field, form), message(field) })
+  static registerRule(name, rule) {
+    FormValidator.rules[name] = rule;
+  }
+
+  // data-minlength="10" wins over minlength="10"
+  static getLimit(field, name) {
+    return parseInt(field.dataset[name] || field.getAttribute(name), 10) || 0;
+  }
+
+  init() {
+    // Our messages replace the browser's bubbles
+    this.form.noValidate = true;
+
+    this.fields = [...this.form.elements].filter(field =>
+      field.name && !['submit', 'button', 'hidden', 'reset'].includes(field.type)
+    );
+
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'sr-only';
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.form.appendChild(this.liveRegion);
+
+    this.fields.forEach(field => {
+      // Tabbing through an empty form shouldn't paint it red
+      field.addEventListener('blur', () => {
+        if (this.touched.has(field)) this.validateField(field, { announce: true });
+      });
+      field.addEventListener('input', () => {
+        this.touched.add(field);
+        // Once an error shows, it goes away as soon as the input is fixed
+        if (field.getAttribute('aria-invalid') === 'true') this.validateField(field);
+      });
+    });
+
+    // Capture runs before the form's own submit handlers, so they only see valid forms
+    this.form.addEventListener('submit', (e) => {
+      if (!this.validate()) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+      }
+    }, true);
+
+    this.form.addEventListener('reset', () => this.clear());
+  }
+
+  // Rules that apply to a field, in the order they are checked
+  getRules(field) {
+    const data = field.dataset;
+    const rules = [];
+
+    if ('required' in data || field.required) rules.push('required');
+    if ('email' in data || field.type === 'email') rules.push('email');
+    if ('url' in data || field.type === 'url') rules.push('url');
+    if (data.minlength || field.getAttribute('minlength')) rules.push('minlength');
+    if (data.maxlength || field.getAttribute('maxlength')) rules.push('maxlength');
+    if (data.pattern || field.getAttribute('pattern')) rules.push('pattern');
+
+    (data.rules || '').split(/\s+/).filter(Boolean).forEach(name => {
+      if (!FormValidator.rules[name]) throw new Error(`Unknown validation rule "${name}"`);
+      rules.push(name);
+    });
+
+    return rules;
+  }
+
+  // First error message for a field, or '' when it's valid
+  getError(field) {
+    if (field.matches(':disabled')) return '';
+
+    const value = field.value.trim();
+
+    for (const name of this.getRules(field)) {
+      // Optional fields are only checked once something was entered
+      if (name !== 'required' && !value) continue;
+
+      const rule = FormValidator.rules[name];
+      if (!rule.test(value, field, this.form)) {
+        const custom = field.dataset[`error${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+        return custom || rule.message(field);
+      }
+    }
+    return '';
+  }
+
+  validateField(field, { announce = false } = {}) {
+    const error = this.getError(field);
+
+    if (error) {
+      this.showError(field, error);
+      if (announce) this.announce(error);
+    } else {
+      this.hideError(field);
+    }
+    return !error;
+  }
+
+  // Checks every field - the first invalid one gets the focus
+  validate() {
+    const invalid = this.fields.filter(field => !this.validateField(field));
+    if (invalid.length === 0) return true;
+
+    this.announce(invalid.length === 1
+      ? 'Ein Feld ist nicht korrekt ausgefüllt.'
+      : `${invalid.length} Felder sind nicht korrekt ausgefüllt.`);
+    invalid[0].focus();
+    return false;
+  }
+
+  getErrorElement(field, create = false) {
+    const id = `${field.id || field.name}-error`;
+    let element = document.getElementById(id);
+
+    if (!element && create) {
+      element = document.createElement('p');
+      element.id = id;
+      element.className = 'form-error';
+      (field.closest('.form-group') || field.parentNode).appendChild(element);
+    }
+    return element;
+  }
+
+  showError(field, message) {
+    const element = this.getErrorElement(field, true);
+    element.textContent = message;
+    element.hidden = false;
+
+    field.setAttribute('aria-invalid', 'true');
+    this.setDescribedBy(field, element.id, true);
+    field.closest('.form-group')?.classList.add('has-error');
+  }
+
+  hideError(field) {
+    const element = this.getErrorElement(field);
+    if (element) {
+      element.hidden = true;
+      element.textContent = '';
+      this.setDescribedBy(field, element.id, false);
+    }
+
+    field.removeAttribute('aria-invalid');
+    field.closest('.form-group')?.classList.remove('has-error');
+  }
+
+  // Keeps descriptions the field already has, like a hint text
+  setDescribedBy(field, id, add) {
+    const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+    if (add) ids.push(id);
+
+    if (ids.length) {
+      field.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+      field.removeAttribute('aria-describedby');
+    }
+  }
+
+  announce(message) {
+    // Cleared first, so the same message is read again
+    this.liveRegion.textContent = '';
+    setTimeout(() => { this.liveRegion.textContent = message; }, 50);
+  }
+
+  clear() {
+    this.touched = new WeakSet();
+    this.fields.forEach(field => this.hideError(field));
+    this.liveRegion.textContent = '';
+  }
+}
+
+FormValidator.rules = {
+  required: {
+    test: value => value !== '',
+    message: field => field.tagName === 'SELECT' ? 'Bitte wähle eine Option aus.' : 'Bitte fülle dieses Feld aus.'
+  },
+  email: {
+    test: value => FormValidator.EMAIL_PATTERN.test(value),
+    message: () => 'Bitte gib eine gültige E-Mail-Adresse ein, z. B. name@beispiel.de.'
+  },
+  url: {
+    test: value => /^https?:\/\/\S+\.\S+$/i.test(value),
+    message: () => 'Bitte gib eine vollständige Adresse ein, z. B. https://beispiel.de.'
+  },
+  minlength: {
+    test: (value, field) => value.length >= FormValidator.getLimit(field, 'minlength'),
+    message: field => `Bitte gib mindestens ${FormValidator.getLimit(field, 'minlength')} Zeichen ein.`
+  },
+  maxlength: {
+    test: (value, field) => value.length <= FormValidator.getLimit(field, 'maxlength'),
+    message: field => `Bitte gib höchstens ${FormValidator.getLimit(field, 'maxlength')} Zeichen ein.`
+  },
+  pattern: {
+    test: (value, field) => new RegExp(`^(?:${field.dataset.pattern || field.getAttribute('pattern')})$`).test(value),
+    message: field => field.title || 'Bitte halte dich an das vorgegebene Format.'
+  }
+};
+
+// Same check as server/contact-server.js
+FormValidator.EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+FormValidator.instances = new WeakMap();
+
+// Export class
+window.FormValidator = FormValidator;
@@ -64,6 +64,12 @@ function initializePageComponents() {
  */
 function getCurrentPage() {
   const path = window.location.pathname;
+
+  // Prerendered posts: blog/<slug>/
+  if (/\/blog\/[^/]+\/?$/.test(path)) {
+    return 'blog-post';
+  }
+
   const filename = path.split('/').pop().replace('.html', '');
   return filename || 'index';
 }
@@ -123,9 +129,9 @@ function initializePortfolioPage() {
  */
 function initializeContactPage() {
   const form = document.getElementById('contact-form');
-  if (!form) return;
+  if (!form || !window.ContactForm) return;
 
-  form.addEventListener('submit', handleContactFormSubmit);
+  window.contactForm = new ContactForm(form);
 }
 
 /**
@@ -228,55 +234,10 @@ function initializeForms() {
       });
     }
   });
-}
-
-/**
- * Handle contact form submission
- */
-async function handleContactFormSubmit(e) {
-  e.preventDefault();
-
-  const form = e.target;
-  const submitBtn = form.querySelector('button[type="submit"]');
-  const statusEl = document.getElementById('form-status');
-
-  // Disable button during submission
-  submitBtn.disabled = true;
-  submitBtn.textContent = 'Senden...';
-
-  // Gather form data
-  const formData = new FormData(form);
-  const data = Object.fromEntries(formData.entries());
-
-  try {
-    // Here you would typically send to your backend or email service
-    // For now, we'll simulate a successful submission
 
-    // Simulate API call
-    await utils.wait(1500);
-
-    // Show success message
-    if (statusEl) {
-      statusEl.className = 'form-status success';
-      statusEl.textContent = 'Nachricht erfolgreich gesendet! Ich melde mich bald bei dir.';
-    }
-
-    // Reset form
-    form.reset();
-
-    // Log for demo purposes
-    console.log('Form submitted:', data);
-
-  } catch (error) {
-    console.error('Form submission error:', error);
-
-    if (statusEl) {
-      statusEl.className = 'form-status error';
-      statusEl.textContent = 'Fehler beim Senden. Bitte versuche es erneut.';
-    }
-  } finally {
-    submitBtn.disabled = false;
-    submitBtn.textContent = 'Nachricht senden';
+  // Inline validation for forms that ask for it
+  if (window.FormValidator) {
+    document.querySelectorAll('form[data-validate]').forEach(form => FormValidator.for(form));
   }
 }
 
@@ -335,14 +296,29 @@ function closeModal(modal) {
 
 /**
  * Initialize reading progress bar
+ * Also remembers the reading position of the post once it is loaded
  */
 function initializeReadingProgress() {
   const progressBar = document.getElementById('reading-progress');
   if (!progressBar) return;
 
+  let readingPosition = null;
+
+  document.addEventListener('post:loaded', (e) => {
+    if (!window.ReadingPosition) return;
+    readingPosition = new ReadingPosition(e.detail.post, document.getElementById('post-content'));
+    readingPosition.offerResume();
+  });
+
+  // Storage writes don't need to keep up with every frame
+  const savePosition = utils.debounce(() => {
+    if (readingPosition) readingPosition.save();
+  }, 250);
+
   window.addEventListener('scroll', utils.throttle(() => {
     const percentage = utils.getScrollPercentage();
     progressBar.style.width = `${percentage}%`;
+    savePosition();
   }, 16), { passive: true });
 }
 
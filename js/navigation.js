@@ -111,7 +111,10 @@ class Navigation {
 
   // Active link highlighting
   setupActiveLinks() {
-    const currentPage = window.location.pathname.split('/').pop() || 'index.html';
+    // Prerendered posts live at blog/<slug>/ and belong to the blog section
+    const currentPage = /\/blog\/[^/]+\/?$/.test(window.location.pathname)
+      ? 'blog.html'
+      : window.location.pathname.split('/').pop() || 'index.html';
 
     this.navLinks.forEach(link => {
       const href = link.getAttribute('href');
@@ -131,27 +134,47 @@ class Navigation {
 
   // Smooth scroll for anchor links
   setupSmoothScroll() {
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-      anchor.addEventListener('click', (e) => {
-        const href = anchor.getAttribute('href');
+    // Delegated so anchors added later (e.g. a post's table of contents) work too
+    document.addEventListener('click', (e) => {
+      const anchor = e.target.closest('a[href^="#"]');
+      if (!anchor) return;
 
-        // Ignore if just "#"
-        if (href === '#') return;
+      const href = anchor.getAttribute('href');
 
-        e.preventDefault();
-        const target = document.querySelector(href);
+      // Ignore if just "#"
+      if (href === '#') return;
 
-        if (target) {
-          const navbarHeight = this.navbar?.offsetHeight || 70;
-          utils.scrollToElement(href, navbarHeight);
+      if (this.scrollToHash(href)) {
+        e.preventDefault();
 
-          // Update URL hash without scrolling
-          history.pushState(null, null, href);
-        }
-      });
+        // Update URL hash without scrolling (explicit path, pages may set <base>)
+        history.pushState(null, null, `${window.location.pathname}${window.location.search}${href}`);
+      }
     });
   }
 
+  /**
+   * Scroll to the element for a hash, below the fixed navbar
+   * Returns false if there is no such element
+   */
+  scrollToHash(hash = window.location.hash) {
+    if (!hash || hash === '#') return false;
+
+    let id = hash.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch (e) {
+      // Keep the raw hash if it isn't valid URI encoding
+    }
+
+    const target = document.getElementById(id);
+    if (!target) return false;
+
+    const navbarHeight = this.navbar?.offsetHeight || 70;
+    utils.scrollToElement(`#${CSS.escape(id)}`, navbarHeight);
+    return true;
+  }
+
   // Back to top button
   setupBackToTop() {
     if (!this.backToTop) return;
@@ -0,0 +1,226 @@
+/**
+ * Post Repository
+ * Loads the post index (data/posts.json) once per page, caches it in
+ * localStorage and revalidates the cache with ETag / Last-Modified.
+ * Post bodies live in one file per post and are fetched on demand;
+ * an index with inline content (the older monolithic format) works as well.
+ */
+
+class PostRepository {
+  constructor(options = {}) {
+    this.url = options.url || 'data/posts.json';
+    this.searchUrl = options.searchUrl || 'data/search.json';
+    this.cacheKey = `${PostRepository.CACHE_KEY}:${this.url}`;
+
+    this.posts = null;
+    this.loading = null;
+    this.contents = new Map();
+    this.searchLoading = null;
+  }
+
+  // One repository per URL, shared by every component on the page
+  static shared(url = 'data/posts.json') {
+    if (!PostRepository.instances.has(url)) {
+      PostRepository.instances.set(url, new PostRepository({ url }));
+    }
+    return PostRepository.instances.get(url);
+  }
+
+  /**
+   * Publication state of a post: draft, scheduled, unlisted or published
+   * Posts without a status are published; a future publishAt schedules them
+   */
+  static getStatus(post, now = new Date()) {
+    const status = post.status || 'published';
+
+    // Unknown states stay hidden rather than going live by accident
+    if (status === 'draft' || !PostRepository.STATUSES.includes(status)) return 'draft';
+    if (post.publishAt && new Date(post.publishAt) > now) return 'scheduled';
+    // The build leaves out the body of scheduled posts - they go live with the next build
+    if (post.publishAt && typeof post.content !== 'string' && !post.contentUrl) return 'scheduled';
+
+    return status;
+  }
+
+  // Shown in listings, search, navigation and related posts
+  static isListed(post) {
+    return PostRepository.getStatus(post) === 'published';
+  }
+
+  // Opens by direct link - unlisted posts included
+  static isViewable(post) {
+    return ['published', 'unlisted'].includes(PostRepository.getStatus(post));
+  }
+
+  // All parts of the post's series among posts, in reading order
+  static getSeriesParts(post, posts) {
+    if (!post.series) return [];
+
+    return posts
+      .filter(candidate => candidate.series && candidate.series.slug === post.series.slug)
+      .sort((a, b) => a.series.part - b.series.part);
+  }
+
+  static isSamePost(a, b) {
+    return a.id.toString() === b.id.toString();
+  }
+
+  /**
+   * All posts, newest first - fetched at most once per page view
+   * Falls back to the cached copy when the network request fails
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.fetchPosts().then(posts => {
+        this.posts = posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+        return this.posts;
+      });
+    }
+
+    return this.loading;
+  }
+
+  async fetchPosts() {
+    const cached = utils.storage.get(this.cacheKey);
+    const headers = {};
+
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    try {
+      const response = await fetch(this.url, { headers });
+
+      if (response.status === 304 && cached) {
+        return cached.posts;
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const posts = (data && data.posts) || [];
+
+      const etag = response.headers.get('ETag');
+      const lastModified = response.headers.get('Last-Modified');
+
+      // Without a validator there is no way to tell a stale copy apart
+      if (etag || lastModified) {
+        utils.storage.set(this.cacheKey, { etag, lastModified, posts });
+      } else if (cached) {
+        utils.storage.remove(this.cacheKey);
+      }
+
+      return posts;
+    } catch (error) {
+      if (cached) {
+        console.warn(`Using cached posts, ${this.url} could not be loaded:`, error);
+        return cached.posts;
+      }
+      throw error;
+    }
+  }
+
+  // Post body - inline in the monolithic format, otherwise from the post's content file
+  content(post) {
+    if (typeof post.content === 'string') return Promise.resolve(post.content);
+    if (!post.contentUrl) return Promise.resolve(null);
+
+    if (!this.contents.has(post.contentUrl)) {
+      this.contents.set(post.contentUrl, utils.fetchJSON(post.contentUrl)
+        .then(data => (data && typeof data.content === 'string' ? data.content : null)));
+    }
+
+    return this.contents.get(post.contentUrl);
+  }
+
+  async withContent(post) {
+    return { ...post, content: await this.content(post) };
+  }
+
+  // Plain text of every post by id, for the full-text search
+  searchTexts() {
+    if (!this.searchLoading) {
+      this.searchLoading = this.load().then(async posts => {
+        // Inline content - scheduled posts have none and are not searchable yet
+        if (!posts.some(post => post.contentUrl)) {
+          return new Map(posts
+            .filter(post => typeof post.content === 'string')
+            .map(post => [post.id, post.content]));
+        }
+
+        const data = await utils.fetchJSON(this.searchUrl);
+        return new Map(((data && data.posts) || []).map(entry => [entry.id, entry.text]));
+      });
+    }
+
+    return this.searchLoading;
+  }
+
+  /**
+   * Queries
+   * byId and bySlug find posts in every state (previews, unlisted links),
+   * the others only return listed posts
+   */
+  async all() {
+    return [...await this.load()];
+  }
+
+  async listed() {
+    return (await this.load()).filter(post => PostRepository.isListed(post));
+  }
+
+  async byId(id) {
+    return (await this.load()).find(post => post.id.toString() === id.toString()) || null;
+  }
+
+  async bySlug(slug) {
+    return (await this.load()).find(post => post.slug === slug) || null;
+  }
+
+  // Tag matched like the blog filter ("Web Design" and "web-design" are the same)
+  async byTag(tag) {
+    const toSlug = value => String(value).toLowerCase().replace(/\s+/g, '-');
+    return (await this.listed()).filter(post => (post.tags || []).some(postTag => toSlug(postTag) === toSlug(tag)));
+  }
+
+  async latest(count = 3) {
+    return (await this.listed()).slice(0, count);
+  }
+
+  async series(post) {
+    return PostRepository.getSeriesParts(post, await this.listed());
+  }
+
+  /**
+   * Previous (older) and next (newer) post
+   * Series posts move between their parts instead of the whole blog;
+   * posts outside the listing (unlisted, previews) have no neighbours
+   */
+  async adjacent(post) {
+    const seriesParts = await this.series(post);
+    const inSeries = seriesParts.length > 0;
+    const posts = inSeries ? seriesParts : await this.listed();
+
+    const index = posts.findIndex(candidate => PostRepository.isSamePost(candidate, post));
+    if (index === -1) return { prev: null, next: null, inSeries };
+
+    // Series parts run oldest first, the listing newest first
+    const step = inSeries ? -1 : 1;
+
+    return {
+      prev: posts[index + step] || null,
+      next: posts[index - step] || null,
+      inSeries
+    };
+  }
+}
+
+PostRepository.CACHE_KEY = 'posts-cache';
+PostRepository.instances = new Map();
+
+// Values of the status field in data/posts.json
+PostRepository.STATUSES = ['draft', 'published', 'unlisted'];
+
+// Export class
+window.PostRepository = PostRepository;
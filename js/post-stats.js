@@ -0,0 +1,396 @@
+/**
+ * Post Stats
+ * View counters and emoji reactions per post. Counts come from a storage
+ * adapter: the local server (server/stats-server.js) when one answers,
+ * otherwise this browser's localStorage - enough for a static host.
+ */
+
+/**
+ * Adapter interface - every method resolves to { views, reactions: { [reaction]: count } }
+ * getAll(keys) resolves to an object of those by post key
+ * recordView(key), react(key, reaction, previous) - reaction and previous may be null
+ */
+
+// Counts of this browser only
+class LocalStatsAdapter {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'post-stats';
+  }
+
+  read() {
+    return utils.storage.get(this.storageKey, {});
+  }
+
+  update(key, change) {
+    const all = this.read();
+    const stats = PostStats.normalize(Object.prototype.hasOwnProperty.call(all, key) ? all[key] : null);
+    change(stats);
+    all[key] = PostStats.normalize(stats);
+    utils.storage.set(this.storageKey, all);
+    return all[key];
+  }
+
+  async getAll(keys) {
+    const all = this.read();
+    const stats = {};
+    keys.forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(all, key)) stats[key] = PostStats.normalize(all[key]);
+    });
+    return stats;
+  }
+
+  async recordView(key) {
+    return this.update(key, stats => { stats.views++; });
+  }
+
+  async react(key, reaction, previous) {
+    return this.update(key, stats => {
+      if (previous && stats.reactions[previous]) stats.reactions[previous]--;
+      if (reaction) stats.reactions[reaction] = (stats.reactions[reaction] || 0) + 1;
+    });
+  }
+}
+
+// REST backend like server/stats-server.js
+class HttpStatsAdapter {
+  constructor(options = {}) {
+    this.url = options.url || 'api/stats';
+  }
+
+  async request(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  }
+
+  async getAll(keys) {
+    const data = await this.request(`${this.url}?posts=${keys.map(encodeURIComponent).join(',')}`);
+    return data.stats || {};
+  }
+
+  async recordView(key) {
+    const data = await this.request(`${this.url}/${encodeURIComponent(key)}/views`, { method: 'POST' });
+    return data.stats;
+  }
+
+  async react(key, reaction, previous) {
+    const data = await this.request(`${this.url}/${encodeURIComponent(key)}/reactions`, {
+      method: 'POST',
+      body: JSON.stringify({ reaction, previous })
+    });
+    return data.stats;
+  }
+}
+
+/**
+ * Server when it answers, localStorage when it doesn't
+ * The decision is kept for the session, so a static host isn't asked on every page
+ */
+class FallbackStatsAdapter {
+  constructor(primary, fallback) {
+    this.primary = primary;
+    this.fallback = fallback;
+  }
+
+  get useFallback() {
+    try {
+      return sessionStorage.getItem(FallbackStatsAdapter.SESSION_KEY) === 'fallback';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async call(method, ...args) {
+    if (!this.useFallback) {
+      try {
+        return await this.primary[method](...args);
+      } catch (error) {
+        // A backend that answers with an error (e.g. rate limit) is still the backend
+        if (error.status && !FallbackStatsAdapter.MISSING_STATUSES.includes(error.status)) throw error;
+
+        console.warn('Stats backend not available, counting locally:', error);
+        try {
+          sessionStorage.setItem(FallbackStatsAdapter.SESSION_KEY, 'fallback');
+        } catch (storageError) {
+          console.warn(`Error writing to sessionStorage: ${storageError}`);
+        }
+      }
+    }
+    return this.fallback[method](...args);
+  }
+
+  getAll(keys) {
+    return this.call('getAll', keys);
+  }
+
+  recordView(key) {
+    return this.call('recordView', key);
+  }
+
+  react(key, reaction, previous) {
+    return this.call('react', key, reaction, previous);
+  }
+}
+
+FallbackStatsAdapter.SESSION_KEY = 'post-stats-backend';
+// Responses of a static host without the stats API
+FallbackStatsAdapter.MISSING_STATUSES = [404, 405, 501];
+
+class PostStats {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  // One instance per page, adapter from <meta name="post-stats" content="auto|http|local">
+  static shared() {
+    if (!PostStats.instance) {
+      const meta = document.querySelector('meta[name="post-stats"]');
+      const name = (meta && meta.content) || 'auto';
+      const factory = PostStats.adapters[name];
+      if (!factory) throw new Error(`Unknown stats adapter "${name}"`);
+
+      PostStats.instance = new PostStats(factory({ url: meta && meta.dataset.url }));
+    }
+    return PostStats.instance;
+  }
+
+  // Hook for other backends: PostStats.registerAdapter('name', options => adapter)
+  static registerAdapter(name, factory) {
+    PostStats.adapters[name] = factory;
+  }
+
+  static key(post) {
+    return String(post.slug || post.id);
+  }
+
+  // Known reactions only, no negative counts
+  static normalize(stats) {
+    const reactions = {};
+    PostStats.REACTIONS.forEach(({ key }) => {
+      const count = stats && stats.reactions ? Number(stats.reactions[key]) : 0;
+      if (count > 0) reactions[key] = count;
+    });
+
+    return { views: Math.max(0, Number(stats && stats.views) || 0), reactions };
+  }
+
+  static totalReactions(stats) {
+    return Object.values(stats.reactions).reduce((sum, count) => sum + count, 0);
+  }
+
+  // Sort key for "Beliebteste" - a reaction weighs more than a view
+  static popularity(stats) {
+    if (!stats) return 0;
+    return stats.views + PostStats.REACTION_WEIGHT * PostStats.totalReactions(stats);
+  }
+
+  // Stats of many posts by key - empty when nothing could be loaded
+  async getAll(posts) {
+    try {
+      const stats = await this.adapter.getAll(posts.map(PostStats.key));
+      return new Map(Object.entries(stats || {}).map(([key, value]) => [key, PostStats.normalize(value)]));
+    } catch (error) {
+      console.error('Error loading post stats:', error);
+      return new Map();
+    }
+  }
+
+  // Counted once per post and browser session
+  async recordView(post) {
+    const key = PostStats.key(post);
+    let viewed = [];
+
+    try {
+      viewed = JSON.parse(sessionStorage.getItem(PostStats.VIEWED_KEY)) || [];
+    } catch (error) {
+      viewed = [];
+    }
+
+    if (viewed.includes(key)) {
+      return (await this.getAll([post])).get(key) || PostStats.normalize(null);
+    }
+
+    const stats = PostStats.normalize(await this.adapter.recordView(key));
+    try {
+      sessionStorage.setItem(PostStats.VIEWED_KEY, JSON.stringify([...viewed, key]));
+    } catch (error) {
+      console.warn(`Error writing to sessionStorage: ${error}`);
+    }
+    return stats;
+  }
+
+  // The visitor's own reaction - one per post, kept in localStorage
+  getReaction(post) {
+    return utils.storage.get(PostStats.REACTIONS_KEY, {})[PostStats.key(post)] || null;
+  }
+
+  /**
+   * React to a post - the same reaction again takes it back, another one replaces it
+   * Resolves to the new stats
+   */
+  async react(post, reaction) {
+    const key = PostStats.key(post);
+    const previous = this.getReaction(post);
+    const next = previous === reaction ? null : reaction;
+
+    const stats = PostStats.normalize(await this.adapter.react(key, next, previous));
+
+    const own = utils.storage.get(PostStats.REACTIONS_KEY, {});
+    if (next) {
+      own[key] = next;
+    } else {
+      delete own[key];
+    }
+    utils.storage.set(PostStats.REACTIONS_KEY, own);
+
+    return stats;
+  }
+
+  /**
+   * Views and reaction summary for a blog card's meta line
+   * Returns an empty string for posts without any counts
+   */
+  static createSummaryHtml(stats) {
+    if (!stats || (!stats.views && !PostStats.totalReactions(stats))) return '';
+
+    const views = stats.views === 1 ? '1 Aufruf' : `${stats.views} Aufrufe`;
+    const reactions = PostStats.REACTIONS
+      .filter(({ key }) => stats.reactions[key])
+      .map(({ emoji, key }) => `${emoji} ${stats.reactions[key]}`)
+      .join(' ');
+
+    return `
+      <span class="blog-views">${utils.escapeHtml(views)}</span>
+      ${reactions ? `<span class="blog-reactions">${utils.escapeHtml(reactions)}</span>` : ''}
+    `;
+  }
+}
+
+PostStats.adapters = {
+  local: options => new LocalStatsAdapter(options),
+  http: options => new HttpStatsAdapter(options),
+  auto: options => new FallbackStatsAdapter(new HttpStatsAdapter(options), new LocalStatsAdapter(options))
+};
+
+// Mirrors REACTIONS in server/stats-server.js
+PostStats.REACTIONS = [
+  { key: 'like', emoji: '👍', label: 'Gefällt mir' },
+  { key: 'love', emoji: '❤️', label: 'Liebe ich' },
+  { key: 'insight', emoji: '💡', label: 'Was gelernt' }
+];
+
+PostStats.REACTION_WEIGHT = 5;
+PostStats.REACTIONS_KEY = 'post-reactions';
+PostStats.VIEWED_KEY = 'post-stats-viewed';
+PostStats.instance = null;
+
+/**
+ * Post Reactions
+ * Reaction buttons below the post and the view count in its header
+ */
+class PostReactions {
+  constructor(container, post, stats = PostStats.shared()) {
+    this.container = container;
+    this.post = post;
+    this.stats = stats;
+
+    this.init();
+  }
+
+  async init() {
+    let counts;
+    try {
+      counts = await this.stats.recordView(this.post);
+    } catch (error) {
+      console.error('Error recording view:', error);
+      counts = (await this.stats.getAll([this.post])).get(PostStats.key(this.post)) || PostStats.normalize(null);
+    }
+
+    this.container.innerHTML = `
+      <p class="post-reactions-label" id="post-reactions-label">Wie fandest du den Beitrag?</p>
+      <div class="post-reactions-buttons" role="group" aria-labelledby="post-reactions-label"></div>
+    `;
+
+    const group = this.container.querySelector('.post-reactions-buttons');
+    this.buttons = PostStats.REACTIONS.map(reaction => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'reaction-btn';
+      button.dataset.reaction = reaction.key;
+      button.title = reaction.label;
+      button.innerHTML = `<span aria-hidden="true">${reaction.emoji}</span> <span class="reaction-count"></span>`;
+      button.addEventListener('click', () => this.react(reaction.key));
+      group.appendChild(button);
+      return button;
+    });
+
+    this.container.hidden = false;
+    this.update(counts);
+  }
+
+  async react(reaction) {
+    this.buttons.forEach(button => { button.disabled = true; });
+
+    try {
+      this.update(await this.stats.react(this.post, reaction));
+    } catch (error) {
+      console.error('Error saving reaction:', error);
+    } finally {
+      this.buttons.forEach(button => { button.disabled = false; });
+    }
+  }
+
+  update(counts) {
+    const own = this.stats.getReaction(this.post);
+
+    this.buttons.forEach(button => {
+      const reaction = PostStats.REACTIONS.find(item => item.key === button.dataset.reaction);
+      const count = counts.reactions[reaction.key] || 0;
+      const isOwn = own === reaction.key;
+
+      button.querySelector('.reaction-count').textContent = count;
+      button.classList.toggle('active', isOwn);
+      button.setAttribute('aria-pressed', String(isOwn));
+      button.setAttribute('aria-label', `${reaction.label}: ${count}`);
+    });
+
+    this.updateViews(counts.views);
+  }
+
+  // "N Aufrufe" in the post meta line
+  updateViews(views) {
+    const meta = document.querySelector('.post-header .post-meta');
+    if (!meta) return;
+
+    let element = meta.querySelector('.post-views');
+    if (!element) {
+      element = document.createElement('span');
+      element.className = 'post-views';
+      meta.appendChild(element);
+    }
+    element.textContent = views === 1 ? '1 Aufruf' : `${views} Aufrufe`;
+  }
+}
+
+// Set up once the post is known - previews of drafts are not counted
+document.addEventListener('post:loaded', (e) => {
+  const container = document.getElementById('post-reactions');
+  if (!container || !PostRepository.isViewable(e.detail.post)) return;
+
+  window.postReactions = new PostReactions(container, e.detail.post);
+});
+
+// Export classes
+window.LocalStatsAdapter = LocalStatsAdapter;
+window.HttpStatsAdapter = HttpStatsAdapter;
+window.FallbackStatsAdapter = FallbackStatsAdapter;
+window.PostStats = PostStats;
+window.PostReactions = PostReactions;
@@ -0,0 +1,189 @@
+/**
+ * Reading List
+ * Renders the bookmarked posts on reading-list.html - reorder, remove,
+ * export and import as JSON
+ */
+
+class ReadingList {
+  constructor(options = {}) {
+    this.containerSelector = options.container || '#reading-list';
+    this.container = document.querySelector(this.containerSelector);
+    this.status = document.getElementById('reading-list-status');
+    this.repository = PostRepository.shared(options.postsUrl || 'data/posts.json');
+
+    // Reuse the blog card markup without loading a listing
+    this.cardRenderer = new BlogSystem({ container: this.containerSelector, autoInit: false });
+    this.posts = [];
+
+    if (this.container) {
+      this.init();
+    }
+  }
+
+  async init() {
+    this.cardRenderer.showLoading();
+
+    try {
+      this.posts = await this.repository.all();
+    } catch (error) {
+      console.error('Error loading posts:', error);
+      this.container.innerHTML = `
+        <div class="error-state">
+          <p>Die Leseliste konnte nicht geladen werden.</p>
+        </div>
+      `;
+      return;
+    }
+
+    // Forget posts that were deleted since they were saved
+    Bookmarks.getAll()
+      .filter(bookmark => !this.posts.some(post => Bookmarks.key(post) === bookmark.key))
+      .forEach(bookmark => Bookmarks.remove(bookmark.key));
+
+    this.setupExport();
+    this.setupImport();
+
+    document.addEventListener('bookmarks:change', () => this.render());
+    this.render();
+  }
+
+  // Bookmarks in list order with their post - posts that went back to draft or are scheduled are left out
+  getEntries() {
+    return Bookmarks.getAll()
+      .map(bookmark => ({
+        bookmark,
+        post: this.posts.find(post => Bookmarks.key(post) === bookmark.key)
+      }))
+      .filter(entry => entry.post && PostRepository.isViewable(entry.post));
+  }
+
+  render() {
+    const entries = this.getEntries();
+    // Keep focus on the moved card's button across re-renders
+    const focused = document.activeElement?.closest('[data-reading-list-action]');
+    const focusTarget = focused && {
+      key: focused.closest('.reading-list-item')?.dataset.bookmark,
+      action: focused.dataset.readingListAction
+    };
+
+    this.container.innerHTML = '';
+
+    if (entries.length === 0) {
+      this.container.innerHTML = `
+        <div class="empty-state">
+          <p>Deine Leseliste ist leer. Merke dir Beiträge im <a href="blog.html">Blog</a> für später.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+
+    entries.forEach(({ bookmark, post }, index) => {
+      const item = document.createElement('div');
+      item.className = 'reading-list-item';
+      item.dataset.bookmark = bookmark.key;
+
+      item.appendChild(this.cardRenderer.createPostCard(post));
+      item.appendChild(this.createActions(bookmark, post, index, entries.length));
+      fragment.appendChild(item);
+    });
+
+    this.container.appendChild(fragment);
+    this.cardRenderer.animateNewCards();
+
+    if (focusTarget) {
+      const item = [...this.container.querySelectorAll('.reading-list-item')]
+        .find(candidate => candidate.dataset.bookmark === focusTarget.key);
+      const button = item?.querySelector(`[data-reading-list-action="${focusTarget.action}"]:not(:disabled)`);
+      (button || item?.querySelector('[data-reading-list-action]:not(:disabled)'))?.focus();
+    }
+  }
+
+  createActions(bookmark, post, index, total) {
+    const actions = document.createElement('div');
+    actions.className = 'reading-list-actions';
+    actions.setAttribute('role', 'group');
+    actions.setAttribute('aria-label', `Leseliste: ${post.title}`);
+
+    const buttons = [
+      { action: 'up', label: '↑', title: 'Nach oben', disabled: index === 0, run: () => Bookmarks.move(bookmark.key, -1) },
+      { action: 'down', label: '↓', title: 'Nach unten', disabled: index === total - 1, run: () => Bookmarks.move(bookmark.key, 1) },
+      { action: 'remove', label: 'Entfernen', title: 'Von der Leseliste entfernen', run: () => Bookmarks.remove(bookmark.key) }
+    ];
+
+    buttons.forEach(({ action, label, title, disabled, run }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-secondary btn-small';
+      button.dataset.readingListAction = action;
+      button.textContent = label;
+      button.title = title;
+      button.setAttribute('aria-label', title);
+      button.disabled = Boolean(disabled);
+      button.addEventListener('click', run);
+      actions.appendChild(button);
+    });
+
+    return actions;
+  }
+
+  setupExport() {
+    const button = document.getElementById('reading-list-export');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(Bookmarks.export(), null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = ReadingList.EXPORT_FILENAME;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    });
+  }
+
+  setupImport() {
+    const button = document.getElementById('reading-list-import');
+    const input = document.getElementById('reading-list-file');
+    if (!button || !input) return;
+
+    button.addEventListener('click', () => input.click());
+
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      input.value = '';
+      if (!file) return;
+
+      try {
+        const added = Bookmarks.import(JSON.parse(await file.text()));
+        this.showStatus(added === 1 ? '1 Beitrag importiert.' : `${added} Beiträge importiert.`);
+      } catch (error) {
+        console.error('Error importing reading list:', error);
+        this.showStatus(error instanceof SyntaxError
+          ? 'Die Datei ist kein gültiges JSON.'
+          : error.message);
+      }
+    });
+  }
+
+  showStatus(message) {
+    if (this.status) this.status.textContent = message;
+  }
+}
+
+ReadingList.EXPORT_FILENAME = 'leseliste.json';
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.querySelector('#reading-list')) {
+    window.readingList = new ReadingList();
+  }
+});
+
+// Export class
+window.ReadingList = ReadingList;
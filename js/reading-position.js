@@ -0,0 +1,112 @@
+/**
+ * Reading Position
+ * Remembers how far a post was read and offers to continue from there
+ */
+
+class ReadingPosition {
+  constructor(post, content) {
+    this.post = post;
+    this.content = content;
+    this.prompt = null;
+  }
+
+  static key(post) {
+    return String(post.slug || post.id);
+  }
+
+  // Saved positions of all posts: { [slug]: { scrollY, progress, read, updatedAt } }
+  static getAll() {
+    return utils.storage.get(ReadingPosition.STORAGE_KEY, {});
+  }
+
+  static get(post) {
+    return ReadingPosition.getAll()[ReadingPosition.key(post)] || null;
+  }
+
+  // How much of the post body has been scrolled past, 0-100
+  measure() {
+    if (!this.content) return utils.getScrollPercentage();
+
+    const rect = this.content.getBoundingClientRect();
+    if (rect.height <= 0) return 0;
+
+    const seen = window.innerHeight - rect.top;
+    return Math.round(Math.min(100, Math.max(0, (seen / rect.height) * 100)));
+  }
+
+  save() {
+    // Don't overwrite the old position before the reader decided about it
+    if (this.prompt) {
+      if (window.pageYOffset < window.innerHeight) return;
+      this.hidePrompt();
+    }
+
+    const positions = ReadingPosition.getAll();
+    const key = ReadingPosition.key(this.post);
+    const previous = positions[key] || {};
+    const progress = this.measure();
+
+    positions[key] = {
+      scrollY: Math.round(window.pageYOffset),
+      progress,
+      // Once finished, a post stays read even when scrolled back up
+      read: previous.read || progress >= ReadingPosition.READ_THRESHOLD,
+      updatedAt: Date.now()
+    };
+
+    // Only keep the most recently read posts
+    const keys = Object.keys(positions)
+      .sort((a, b) => positions[b].updatedAt - positions[a].updatedAt);
+    keys.slice(ReadingPosition.MAX_ENTRIES).forEach(oldKey => delete positions[oldKey]);
+
+    utils.storage.set(ReadingPosition.STORAGE_KEY, positions);
+  }
+
+  /**
+   * "Weiterlesen" prompt for a post left halfway through
+   * Skipped for deep links to a section and for finished posts
+   */
+  offerResume() {
+    const saved = ReadingPosition.get(this.post);
+    if (!saved || saved.read || window.location.hash) return;
+    if (saved.progress < ReadingPosition.MIN_PROGRESS || window.pageYOffset > 0) return;
+
+    this.prompt = document.createElement('div');
+    this.prompt.className = 'resume-prompt glass';
+    this.prompt.setAttribute('role', 'status');
+    this.prompt.innerHTML = `
+      <span>Du hast ${saved.progress} % gelesen.</span>
+      <button type="button" class="btn btn-primary btn-small resume-continue">Weiterlesen</button>
+      <button type="button" class="resume-dismiss" aria-label="Hinweis schließen">×</button>
+    `;
+
+    this.prompt.querySelector('.resume-continue').addEventListener('click', () => {
+      this.hidePrompt();
+      window.scrollTo({
+        top: saved.scrollY,
+        behavior: utils.prefersReducedMotion() ? 'auto' : 'smooth'
+      });
+    });
+
+    this.prompt.querySelector('.resume-dismiss').addEventListener('click', () => {
+      this.hidePrompt();
+    });
+
+    document.body.appendChild(this.prompt);
+  }
+
+  hidePrompt() {
+    if (!this.prompt) return;
+    this.prompt.remove();
+    this.prompt = null;
+  }
+}
+
+ReadingPosition.STORAGE_KEY = 'reading-positions';
+ReadingPosition.MAX_ENTRIES = 100;
+// Progress (in percent) from which a post counts as read / is worth resuming
+ReadingPosition.READ_THRESHOLD = 95;
+ReadingPosition.MIN_PROGRESS = 10;
+
+// Export class
+window.ReadingPosition = ReadingPosition;
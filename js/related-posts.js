@@ -0,0 +1,99 @@
+/**
+ * Related Posts
+ * Scores posts by shared tags, category and term overlap, with a recency boost
+ */
+
+class RelatedPosts {
+  constructor(options = {}) {
+    this.containerSelector = options.container || '#related-posts';
+    this.container = document.querySelector(this.containerSelector);
+    this.limit = options.limit || 3;
+    this.weights = { ...RelatedPosts.WEIGHTS, ...options.weights };
+
+    // Reuse the blog card markup without loading a listing
+    this.cardRenderer = new BlogSystem({ container: this.containerSelector, autoInit: false });
+  }
+
+  // Title and excerpt terms, normalized like the blog search
+  static terms(post) {
+    return new Set(BlogSearch.tokenize(`${post.title} ${post.excerpt || ''}`));
+  }
+
+  score(current, candidate) {
+    const currentTags = (current.tags || []).map(tag => tag.toLowerCase());
+    const sharedTags = (candidate.tags || [])
+      .filter(tag => currentTags.includes(tag.toLowerCase())).length;
+
+    const sameCategory = current.category === candidate.category ? 1 : 0;
+
+    // Jaccard similarity of title/excerpt terms
+    const currentTerms = RelatedPosts.terms(current);
+    const candidateTerms = RelatedPosts.terms(candidate);
+    const sharedTerms = [...candidateTerms].filter(term => currentTerms.has(term)).length;
+    const allTerms = new Set([...currentTerms, ...candidateTerms]).size;
+    const termOverlap = allTerms ? sharedTerms / allTerms : 0;
+
+    const score = sharedTags * this.weights.tag +
+      sameCategory * this.weights.category +
+      termOverlap * this.weights.terms;
+
+    if (score === 0) return 0;
+
+    // Newer posts win ties - the boost halves every 180 days
+    const ageInDays = Math.max(0, (Date.now() - new Date(candidate.date)) / 86400000);
+    return score + this.weights.recency * Math.pow(0.5, ageInDays / 180);
+  }
+
+  /**
+   * Find the most similar posts, falling back to the latest ones
+   */
+  find(current, posts) {
+    const candidates = posts.filter(post => post.id.toString() !== current.id.toString());
+
+    const related = candidates
+      .map(post => ({ post, score: this.score(current, post) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(result => result.post)
+      .slice(0, this.limit);
+
+    if (related.length < this.limit) {
+      const latest = [...candidates]
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .filter(post => !related.includes(post));
+      related.push(...latest.slice(0, this.limit - related.length));
+    }
+
+    return related;
+  }
+
+  render(current, posts) {
+    if (!this.container) return;
+
+    const related = this.find(current, posts);
+    const section = this.container.closest('section');
+
+    if (related.length === 0) {
+      if (section) section.style.display = 'none';
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    related.forEach(post => fragment.appendChild(this.cardRenderer.createPostCard(post)));
+
+    this.container.innerHTML = '';
+    this.container.appendChild(fragment);
+    this.cardRenderer.animateNewCards();
+  }
+}
+
+// Score weights
+RelatedPosts.WEIGHTS = {
+  tag: 3,
+  category: 2,
+  terms: 4,
+  recency: 1
+};
+
+// Export class
+window.RelatedPosts = RelatedPosts;
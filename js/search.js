@@ -0,0 +1,180 @@
+/**
+ * Blog Search
+ * Client-side full-text search over blog posts with German-aware matching
+ */
+
+class BlogSearch {
+  constructor(posts = [], options = {}) {
+    this.fields = options.fields || BlogSearch.FIELDS;
+    this.minPrefixLength = options.minPrefixLength || 3;
+
+    // term -> Map(postId -> score)
+    this.index = new Map();
+    this.postsById = new Map();
+
+    this.build(posts);
+  }
+
+  // Fold umlauts, ß and other diacritics so "fur" finds "für"
+  static normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/ß/g, 'ss')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  // Light German stemming - strips one inflection ending, the longest that fits
+  // ("lernen" -> "lern", not "ler")
+  static stem(token) {
+    const suffix = BlogSearch.SUFFIXES.find(candidate =>
+      token.endsWith(candidate) && token.length - candidate.length >= 3
+    );
+    return suffix ? token.slice(0, -suffix.length) : token;
+  }
+
+  // Split text into normalized, stemmed terms
+  static tokenize(text) {
+    return BlogSearch.normalize(text)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 1 && !BlogSearch.STOPWORDS.has(word))
+      .map(word => BlogSearch.stem(word));
+  }
+
+  // Remove markup from post content before indexing
+  static stripHtml(html) {
+    return String(html || '').replace(/<[^>]+>/g, ' ');
+  }
+
+  build(posts) {
+    this.index.clear();
+    this.postsById.clear();
+
+    posts.forEach(post => {
+      const id = post.id.toString();
+      this.postsById.set(id, post);
+
+      Object.entries(this.fields).forEach(([field, weight]) => {
+        const value = Array.isArray(post[field]) ? post[field].join(' ') : post[field];
+        const text = field === 'content' ? BlogSearch.stripHtml(value) : value;
+        const counts = new Map();
+
+        BlogSearch.tokenize(text).forEach(term => {
+          counts.set(term, (counts.get(term) || 0) + 1);
+        });
+
+        counts.forEach((count, term) => {
+          if (!this.index.has(term)) {
+            this.index.set(term, new Map());
+          }
+          const postings = this.index.get(term);
+          const score = weight * (1 + Math.log(count));
+          postings.set(id, (postings.get(id) || 0) + score);
+        });
+      });
+    });
+  }
+
+  // Collect postings for a query term, including prefix matches
+  lookup(term) {
+    const matches = new Map();
+
+    this.index.forEach((postings, indexTerm) => {
+      let factor = 0;
+      if (indexTerm === term) {
+        factor = 1;
+      } else if (term.length >= this.minPrefixLength && indexTerm.startsWith(term)) {
+        factor = 0.5;
+      }
+      if (!factor) return;
+
+      postings.forEach((score, id) => {
+        matches.set(id, Math.max(matches.get(id) || 0, score * factor));
+      });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Search posts - every query term has to match (AND)
+   * Returns [{ post, score }] sorted by relevance
+   */
+  search(query) {
+    const terms = [...new Set(BlogSearch.tokenize(query))];
+    if (terms.length === 0) return [];
+
+    let scores = null;
+
+    terms.forEach(term => {
+      const matches = this.lookup(term);
+      if (scores === null) {
+        scores = matches;
+        return;
+      }
+
+      const combined = new Map();
+      scores.forEach((score, id) => {
+        if (matches.has(id)) {
+          combined.set(id, score + matches.get(id));
+        }
+      });
+      scores = combined;
+    });
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ post: this.postsById.get(id), score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Escape text and wrap words matching the query in <mark>
+   */
+  highlight(text, query) {
+    const source = String(text || '');
+    const terms = [...new Set(BlogSearch.tokenize(query))];
+    if (terms.length === 0) return utils.escapeHtml(source);
+
+    const matchesTerm = word => {
+      const stem = BlogSearch.stem(BlogSearch.normalize(word));
+      return terms.some(term =>
+        stem === term || (term.length >= this.minPrefixLength && stem.startsWith(term))
+      );
+    };
+
+    let html = '';
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+      if (!matchesTerm(match[0])) continue;
+
+      html += utils.escapeHtml(source.slice(lastIndex, match.index));
+      html += `<mark>${utils.escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+
+    return html + utils.escapeHtml(source.slice(lastIndex));
+  }
+}
+
+// Field weights used for ranking
+BlogSearch.FIELDS = {
+  title: 5,
+  tags: 3,
+  category: 2,
+  excerpt: 2,
+  content: 1
+};
+
+// Inflection endings, longest first
+// Longest first - stem() takes the first that matches
+BlogSearch.SUFFIXES = ['ern', 'em', 'en', 'er', 'es', 'e', 's', 'n'];
+
+BlogSearch.STOPWORDS = new Set([
+  'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer',
+  'und', 'oder', 'aber', 'ist', 'sind', 'war', 'mit', 'von', 'zu', 'im', 'in', 'an',
+  'auf', 'es', 'ich', 'du', 'wir', 'sie', 'nicht', 'auch', 'wie', 'was', 'so'
+]);
+
+// Export class
+window.BlogSearch = BlogSearch;
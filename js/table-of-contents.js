@@ -0,0 +1,148 @@
+/**
+ * Table of Contents
+ * Builds a sticky, collapsible post outline with scroll-spy highlighting
+ */
+
+class TableOfContents {
+  constructor(content, options = {}) {
+    this.content = content;
+    this.headingSelector = options.headings || 'h2, h3';
+    this.minHeadings = options.minHeadings || 3;
+
+    this.headings = [];
+    this.links = new Map();
+    this.activeId = null;
+    this.element = null;
+
+    if (this.content) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.headings = [...this.content.querySelectorAll(this.headingSelector)];
+    this.assignIds();
+
+    // Short posts don't need an outline, but their headings keep anchors
+    if (this.headings.length < this.minHeadings) return;
+
+    this.build();
+    this.setupToggle();
+    this.setupScrollSpy();
+  }
+
+  // Give every heading a stable, unique anchor id derived from its text
+  assignIds() {
+    const usedIds = new Set([...document.querySelectorAll('[id]')].map(el => el.id));
+
+    this.headings.forEach(heading => {
+      if (heading.id) return;
+
+      const base = utils.slugify(heading.textContent) || 'abschnitt';
+      let id = base;
+      let counter = 2;
+
+      while (usedIds.has(id)) {
+        id = `${base}-${counter++}`;
+      }
+
+      heading.id = id;
+      usedIds.add(id);
+    });
+  }
+
+  build() {
+    const nav = document.createElement('nav');
+    nav.className = 'post-toc glass';
+    nav.setAttribute('aria-label', 'Inhaltsverzeichnis');
+
+    // Collapsed by default on small screens
+    const expanded = !utils.isMobile();
+
+    nav.innerHTML = `
+      <button type="button" class="toc-toggle" aria-expanded="${expanded}" aria-controls="toc-list">
+        <span>Inhalt</span>
+        <span class="toc-toggle-icon" aria-hidden="true">▾</span>
+      </button>
+      <ol id="toc-list" class="toc-list"${expanded ? '' : ' hidden'}></ol>
+    `;
+
+    const list = nav.querySelector('.toc-list');
+
+    this.headings.forEach(heading => {
+      const item = document.createElement('li');
+      item.className = `toc-item toc-${heading.tagName.toLowerCase()}`;
+
+      const link = document.createElement('a');
+      link.href = `#${heading.id}`;
+      link.textContent = heading.textContent;
+
+      item.appendChild(link);
+      list.appendChild(item);
+      this.links.set(heading.id, link);
+    });
+
+    this.content.parentNode.insertBefore(nav, this.content);
+    this.element = nav;
+  }
+
+  setupToggle() {
+    const toggle = this.element.querySelector('.toc-toggle');
+    const list = this.element.querySelector('.toc-list');
+
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!expanded));
+      list.hidden = expanded;
+    });
+
+    // Collapse again after jumping to a section on small screens
+    list.addEventListener('click', (e) => {
+      if (e.target.closest('a') && utils.isMobile()) {
+        toggle.setAttribute('aria-expanded', 'false');
+        list.hidden = true;
+      }
+    });
+  }
+
+  setupScrollSpy() {
+    const update = () => {
+      const navbar = document.querySelector('.navbar');
+      const offset = (navbar?.offsetHeight || 70) + 16;
+
+      // The last heading scrolled past the navbar is the current section
+      let current = null;
+      this.headings.forEach(heading => {
+        if (heading.getBoundingClientRect().top - offset <= 1) {
+          current = heading;
+        }
+      });
+
+      this.setActive(current ? current.id : null);
+    };
+
+    window.addEventListener('scroll', utils.throttle(update, 100), { passive: true });
+    update();
+  }
+
+  setActive(id) {
+    if (id === this.activeId) return;
+
+    if (this.activeId && this.links.has(this.activeId)) {
+      const previous = this.links.get(this.activeId);
+      previous.classList.remove('active');
+      previous.removeAttribute('aria-current');
+    }
+
+    if (id && this.links.has(id)) {
+      const link = this.links.get(id);
+      link.classList.add('active');
+      link.setAttribute('aria-current', 'location');
+    }
+
+    this.activeId = id;
+  }
+}
+
+// Export class
+window.TableOfContents = TableOfContents;
@@ -73,6 +73,20 @@ function calculateReadTime(text, wordsPerMinute = 200) {
   return `${time} min`;
 }
 
+// Turn text into a URL-friendly slug ("Tipp 1: Über Fehler" -> "tipp-1-ueber-fehler")
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
 // Generate unique ID
 function generateId(prefix = 'id') {
   return `${prefix}-${Math.random().toString(36).substr(2, 9)}`;
@@ -140,11 +154,110 @@ function createElement(tag, attributes = {}, children = []) {
   return element;
 }
 
-// Escape HTML to prevent XSS
+// Escape HTML to prevent XSS (safe for text and quoted attributes)
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Tags and attributes kept by sanitizeHtml - everything else is removed
+const SANITIZE_ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'article', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'div', 'dl', 'dt',
+  'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins',
+  'kbd', 'li', 'mark', 'ol', 'p', 'pre', 's', 'section', 'small', 'span', 'strong', 'sub',
+  'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+const SANITIZE_ALLOWED_ATTRIBUTES = {
+  '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'aria-label', 'aria-hidden', 'aria-describedby', 'aria-current'],
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height', 'loading'],
+  ol: ['start', 'reversed'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan', 'scope']
+};
+
+// Elements dropped together with their content (others are unwrapped)
+const SANITIZE_DROP_TAGS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'frame', 'frameset', 'link', 'meta',
+  'base', 'form', 'input', 'button', 'textarea', 'select', 'svg', 'math', 'template', 'noscript'
+]);
+
+// Only allow safe URL schemes (relative URLs and anchors are fine)
+function sanitizeUrl(url) {
+  const value = String(url || '').trim();
+  // Strip control characters and whitespace browsers ignore inside schemes
+  const normalized = value.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+  if (scheme && !['http', 'https', 'mailto', 'tel'].includes(scheme[1])) {
+    return '';
+  }
+  return value;
+}
+
+function isExternalUrl(url) {
+  try {
+    return new URL(url, window.location.href).origin !== window.location.origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+function sanitizeElement(element) {
+  [...element.children].forEach(child => {
+    const tag = child.tagName.toLowerCase();
+
+    if (SANITIZE_DROP_TAGS.has(tag)) {
+      child.remove();
+      return;
+    }
+
+    sanitizeElement(child);
+
+    if (!SANITIZE_ALLOWED_TAGS.has(tag)) {
+      child.replaceWith(...child.childNodes);
+      return;
+    }
+
+    const allowed = [
+      ...SANITIZE_ALLOWED_ATTRIBUTES['*'],
+      ...(SANITIZE_ALLOWED_ATTRIBUTES[tag] || [])
+    ];
+
+    [...child.attributes].forEach(attr => {
+      const name = attr.name.toLowerCase();
+
+      if (!allowed.includes(name) && !name.startsWith('data-')) {
+        child.removeAttribute(attr.name);
+      } else if (name === 'href' || name === 'src') {
+        const url = sanitizeUrl(attr.value);
+        if (url) {
+          child.setAttribute(attr.name, url);
+        } else {
+          child.removeAttribute(attr.name);
+        }
+      }
+    });
+
+    // External links open in a new tab without access to window.opener
+    if (tag === 'a' && child.hasAttribute('href') && isExternalUrl(child.getAttribute('href'))) {
+      child.setAttribute('target', '_blank');
+      child.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+}
+
+// Sanitize HTML against the allowlist above before it is injected
+function sanitizeHtml(html) {
+  // Template content is inert: scripts don't run and images don't load
+  const template = document.createElement('template');
+  template.innerHTML = String(html || '');
+  sanitizeElement(template.content);
+  return template.innerHTML;
 }
 
 // Wait for specified time (Promise-based)
@@ -228,10 +341,13 @@ window.utils = {
   scrollToElement,
   formatDate,
   calculateReadTime,
+  slugify,
   generateId,
   storage,
   createElement,
   escapeHtml,
+  sanitizeUrl,
+  sanitizeHtml,
   wait,
   isMobile,
   isTouchDevice,
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Build Feeds
+ * Generates feed.xml (RSS 2.0), atom.xml (Atom 1.0) and feed.json (JSON Feed 1.1)
+ * from data/posts.json
+ *
+ * Usage: node scripts/build-feeds.js [--excerpt] [--limit=20]
+ *   --excerpt   Only include the excerpt instead of the full post content
+ *   --limit=N   Number of posts in the feeds (default 20)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./lib/site');
+const { loadPosts, isListed, absolutizeUrls } = require('./lib/posts');
+const { loadAuthors, getAuthor, archivePath } = require('./lib/authors');
+
+const args = process.argv.slice(2);
+const options = {
+  excerptOnly: args.includes('--excerpt'),
+  limit: parseInt((args.find(arg => arg.startsWith('--limit=')) || '--limit=20').split('=')[1], 10)
+};
+
+const FEEDS = {
+  rss: 'feed.xml',
+  atom: 'atom.xml',
+  json: 'feed.json'
+};
+
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// CDATA sections can't contain "]]>", so split it across two sections
+function cdata(text) {
+  return `<![CDATA[${String(text || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function toFeedItem(post, authors) {
+  const url = site.absoluteUrl(site.postPath(post));
+  const author = getAuthor(authors, post.author);
+
+  return {
+    id: url,
+    url,
+    title: post.title,
+    summary: post.excerpt || '',
+    html: options.excerptOnly || !post.content
+      ? `<p>${escapeXml(post.excerpt)}</p>`
+      : absolutizeUrls(post.content),
+    image: post.image ? site.absoluteUrl(post.image) : null,
+    date: new Date(post.date),
+    author: {
+      name: author.name,
+      url: site.absoluteUrl(archivePath(author.key)),
+      avatar: author.avatar ? site.absoluteUrl(author.avatar) : null
+    },
+    categories: [post.category, ...(post.tags || [])].filter(Boolean)
+  };
+}
+
+// RSS 2.0 - dates in RFC 822 format
+function buildRss(items, updated) {
+  const feedUrl = site.absoluteUrl(FEEDS.rss);
+
+  const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author.name)}</dc:creator>
+${item.categories.map(category => `      <category>${escapeXml(category)}</category>`).join('\n')}
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${cdata(item.html)}</content:encoded>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(site.title)}</title>
+    <link>${escapeXml(site.absoluteUrl('blog.html'))}</link>
+    <description>${escapeXml(site.description)}</description>
+    <language>${site.language}</language>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>
+${entries}
+  </channel>
+</rss>
+`;
+}
+
+// Atom 1.0 - dates in RFC 3339 format
+function buildAtom(items, updated) {
+  const feedUrl = site.absoluteUrl(FEEDS.atom);
+
+  const entries = items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.date.toISOString()}</updated>
+    <author><name>${escapeXml(item.author.name)}</name><uri>${escapeXml(item.author.url)}</uri></author>
+${item.categories.map(category => `    <category term="${escapeXml(category)}"/>`).join('\n')}
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${site.language}">
+  <title>${escapeXml(site.title)}</title>
+  <subtitle>${escapeXml(site.description)}</subtitle>
+  <link href="${escapeXml(site.absoluteUrl('blog.html'))}"/>
+  <link href="${escapeXml(feedUrl)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(site.absoluteUrl('blog.html'))}</id>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${escapeXml(site.author.name)}</name></author>
+${entries}
+</feed>
+`;
+}
+
+// JSON Feed 1.1
+function buildJsonFeed(items) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: site.title,
+    home_page_url: site.absoluteUrl('blog.html'),
+    feed_url: site.absoluteUrl(FEEDS.json),
+    description: site.description,
+    language: site.language,
+    authors: [{ name: site.author.name }],
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.html,
+      ...(item.image ? { image: item.image } : {}),
+      date_published: item.date.toISOString(),
+      authors: [{
+        name: item.author.name,
+        url: item.author.url,
+        ...(item.author.avatar ? { avatar: item.author.avatar } : {})
+      }],
+      tags: item.categories
+    }))
+  };
+
+  return JSON.stringify(feed, null, 2) + '\n';
+}
+
+function build() {
+  const authors = loadAuthors();
+  const items = loadPosts()
+    .filter(post => isListed(post))
+    .slice(0, options.limit)
+    .map(post => toFeedItem(post, authors));
+  // Newest post date keeps the output stable between builds
+  const updated = items.length ? items[0].date : new Date(0);
+
+  const outputs = {
+    [FEEDS.rss]: buildRss(items, updated),
+    [FEEDS.atom]: buildAtom(items, updated),
+    [FEEDS.json]: buildJsonFeed(items)
+  };
+
+  Object.entries(outputs).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(site.root, file), content);
+  });
+
+  console.log(`Built feeds with ${items.length} posts -> ${Object.keys(outputs).join(', ')}`);
+}
+
+if (require.main === module) {
+  try {
+    build();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { build };
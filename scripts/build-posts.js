@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Build Posts
+ * Compiles the Markdown files in posts/ into
+ *   data/posts.json         Index with metadata and excerpts, used by the listing
+ *   data/posts/<slug>.json  Content of one post, loaded by the post page
+ *   data/search.json        Plain text of every post for the full-text search
+ *
+ * Scheduled posts get no content file and no search text - everything written
+ * here is public, so their body stays out until the first build after publishAt.
+ *
+ * Usage: node scripts/build-posts.js [--monolithic]
+ *   --monolithic  Write the content into data/posts.json instead (no split files)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const markdown = require('./lib/markdown');
+const site = require('./lib/site');
+const { POSTS_FILE, CONTENT_DIR, SEARCH_FILE, STATUSES, contentUrl, toPlainText, calculateReadTime, getStatus } = require('./lib/posts');
+const { loadAuthors } = require('./lib/authors');
+
+const POSTS_DIR = path.join(site.root, 'posts');
+
+const options = {
+  monolithic: process.argv.slice(2).includes('--monolithic')
+};
+
+// "2025-01-15-kein-framework.md" -> "kein-framework"
+function slugFromFilename(filename) {
+  return path.basename(filename, '.md').replace(/^\d{4}-\d{2}-\d{2}-/, '');
+}
+
+function buildPost(filename, authors) {
+  const source = fs.readFileSync(path.join(POSTS_DIR, filename), 'utf8');
+  const { data, body } = markdown.parseFrontMatter(source);
+
+  ['id', 'title', 'date', 'author'].forEach(field => {
+    if (data[field] === undefined || data[field] === '') {
+      throw new Error(`${filename}: missing front matter field "${field}"`);
+    }
+  });
+
+  if (!Object.prototype.hasOwnProperty.call(authors, data.author)) {
+    throw new Error(`${filename}: unknown author "${data.author}" - add it to data/authors.json`);
+  }
+
+  if (data.status !== undefined && !STATUSES.includes(data.status)) {
+    throw new Error(`${filename}: status must be one of ${STATUSES.join(', ')}`);
+  }
+
+  if (data.publishAt !== undefined && isNaN(new Date(data.publishAt))) {
+    throw new Error(`${filename}: publishAt is not a valid date`);
+  }
+
+  if (data.series !== undefined) {
+    const { slug, part } = data.series;
+    if (!slug || !Number.isInteger(part) || part < 1) {
+      throw new Error(`${filename}: series needs a slug and a part number starting at 1`);
+    }
+  }
+
+  const content = markdown.render(body);
+
+  return {
+    ...data,
+    slug: data.slug || slugFromFilename(filename),
+    tags: data.tags || [],
+    readTime: data.readTime || calculateReadTime(content),
+    content
+  };
+}
+
+// Each part number may only be used once per series
+function checkSeries(posts) {
+  const seen = new Set();
+
+  posts.filter(post => post.series).forEach(post => {
+    const key = `${post.series.slug}#${post.series.part}`;
+    if (seen.has(key)) {
+      throw new Error(`Series "${post.series.slug}" has more than one part ${post.series.part}`);
+    }
+    seen.add(key);
+  });
+}
+
+function withoutContent({ content, ...post }) {
+  return post;
+}
+
+function writeJson(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+function build() {
+  const authors = loadAuthors();
+  const files = fs.readdirSync(POSTS_DIR).filter(file => file.endsWith('.md'));
+  const posts = files
+    .map(file => buildPost(file, authors))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  checkSeries(posts);
+
+  // Split files are fully generated - start from scratch
+  fs.rmSync(CONTENT_DIR, { recursive: true, force: true });
+  fs.rmSync(SEARCH_FILE, { force: true });
+
+  // $schema lets editors validate the file against data/posts.schema.json
+  const $schema = './posts.schema.json';
+  const scheduled = new Set(posts.filter(post => getStatus(post) === 'scheduled'));
+
+  if (options.monolithic) {
+    const index = posts.map(post => (scheduled.has(post) ? withoutContent(post) : post));
+    writeJson(POSTS_FILE, { $schema, posts: index });
+    console.log(`Built ${posts.length} posts -> ${path.relative(site.root, POSTS_FILE)}`);
+    return;
+  }
+
+  fs.mkdirSync(CONTENT_DIR, { recursive: true });
+
+  const index = posts.map(post => {
+    if (scheduled.has(post)) return withoutContent(post);
+
+    writeJson(path.join(CONTENT_DIR, `${post.slug}.json`), { id: post.id, slug: post.slug, content: post.content });
+    return { ...withoutContent(post), contentUrl: contentUrl(post) };
+  });
+
+  writeJson(POSTS_FILE, { $schema, posts: index });
+  writeJson(SEARCH_FILE, {
+    posts: posts
+      .filter(post => !scheduled.has(post))
+      .map(post => ({ id: post.id, text: toPlainText(post.content) }))
+  });
+
+  console.log(`Built ${posts.length} posts -> ${path.relative(site.root, POSTS_FILE)}, ` +
+    `${path.relative(site.root, CONTENT_DIR)}/, ${path.relative(site.root, SEARCH_FILE)}`);
+}
+
+if (require.main === module) {
+  try {
+    build();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { build };
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Build Sitemap
+ * Writes sitemap.xml with the static pages and one entry per prerendered post
+ *
+ * Usage: node scripts/build-sitemap.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./lib/site');
+const { loadPosts, isListed } = require('./lib/posts');
+
+const OUTPUT_FILE = path.join(site.root, 'sitemap.xml');
+
+const PAGES = [
+  { path: '', changefreq: 'weekly', priority: '1.0' },
+  { path: 'about.html', changefreq: 'monthly', priority: '0.8' },
+  { path: 'services.html', changefreq: 'monthly', priority: '0.8' },
+  { path: 'portfolio.html', changefreq: 'weekly', priority: '0.8' },
+  { path: 'blog.html', changefreq: 'weekly', priority: '0.8' },
+  { path: 'contact.html', changefreq: 'monthly', priority: '0.7' }
+];
+
+const PAGES_LASTMOD = '2025-01-01';
+
+function toEntry({ loc, lastmod, changefreq, priority }) {
+  return `  <url>
+    <loc>${loc}</loc>
+    <lastmod>${lastmod}</lastmod>
+    <changefreq>${changefreq}</changefreq>
+    <priority>${priority}</priority>
+  </url>`;
+}
+
+function build() {
+  const posts = loadPosts().filter(post => post.slug && isListed(post));
+
+  const entries = [
+    ...PAGES.map(page => ({
+      loc: site.absoluteUrl(page.path),
+      lastmod: PAGES_LASTMOD,
+      changefreq: page.changefreq,
+      priority: page.priority
+    })),
+    ...posts.map(post => ({
+      loc: site.absoluteUrl(site.postPath(post)),
+      lastmod: new Date(post.updated || post.date).toISOString().slice(0, 10),
+      changefreq: 'monthly',
+      priority: '0.6'
+    }))
+  ];
+
+  fs.writeFileSync(OUTPUT_FILE, `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(toEntry).join('\n')}
+</urlset>
+`);
+
+  console.log(`Built sitemap with ${entries.length} URLs -> ${path.relative(site.root, OUTPUT_FILE)}`);
+}
+
+if (require.main === module) {
+  try {
+    build();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { build };
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * Build
+ * Runs every build step in order: posts, feeds, prerendered pages, sitemap
+ *
+ * Usage: node scripts/build.js [--excerpt]
+ */
+
+const steps = [
+  require('./build-posts'),
+  require('./build-feeds'),
+  require('./prerender-posts'),
+  require('./build-sitemap')
+];
+
+try {
+  steps.forEach(step => step.build());
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,40 @@
+/**
+ * Author Helpers
+ * Reads data/authors.json for the build scripts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./site');
+
+const AUTHORS_FILE = path.join(site.root, 'data', 'authors.json');
+
+function loadAuthors() {
+  const data = JSON.parse(fs.readFileSync(AUTHORS_FILE, 'utf8'));
+  return data.authors || {};
+}
+
+// Mirrors AuthorRegistry.get in js/authors.js - unknown keys fall back to the key
+function getAuthor(authors, key) {
+  const author = Object.prototype.hasOwnProperty.call(authors, key) ? authors[key] : {};
+
+  return {
+    key,
+    name: author.name || key,
+    bio: author.bio || '',
+    avatar: author.avatar || null,
+    links: author.links || []
+  };
+}
+
+// Blog listing filtered to one author - mirrors AuthorRegistry.getArchiveUrl
+function archivePath(key) {
+  return `blog.html?author=${encodeURIComponent(key)}`;
+}
+
+module.exports = {
+  AUTHORS_FILE,
+  loadAuthors,
+  getAuthor,
+  archivePath
+};
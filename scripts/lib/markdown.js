@@ -0,0 +1,420 @@
+/**
+ * Markdown Renderer
+ * Small, dependency-free Markdown to HTML converter for blog posts.
+ * Supports front matter, headings, lists, links, images, code blocks,
+ * blockquotes and footnotes.
+ */
+
+// Escape HTML special characters (no DOM available in Node)
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Front Matter
+ * Parses the YAML subset used in post files: strings, numbers, booleans,
+ * inline [a, b] arrays, "- item" lists and one level of nested keys.
+ */
+function parseScalar(value) {
+  const trimmed = value.trim();
+
+  if (/^\[.*\]$/.test(trimmed)) {
+    return trimmed.slice(1, -1)
+      .split(',')
+      .map(item => parseScalar(item))
+      .filter(item => item !== '');
+  }
+  if (/^(['"]).*\1$/.test(trimmed)) {
+    return trimmed.slice(1, -1);
+  }
+  if (trimmed === 'true' || trimmed === 'false') {
+    return trimmed === 'true';
+  }
+  if (trimmed === 'null' || trimmed === '~') {
+    return null;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  return trimmed;
+}
+
+function parseYaml(text) {
+  const data = {};
+  let currentKey = null;
+  let currentObject = null;
+
+  text.split('\n').forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const indented = /^\s+/.test(line);
+    const listItem = line.match(/^\s*-\s+(.*)$/);
+
+    if (listItem && currentKey) {
+      if (!Array.isArray(data[currentKey])) data[currentKey] = [];
+      data[currentKey].push(parseScalar(listItem[1]));
+      return;
+    }
+
+    const pair = line.match(/^\s*([\w-]+):\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`Invalid front matter line: "${line}"`);
+    }
+
+    const [, key, value] = pair;
+
+    if (indented && currentObject) {
+      currentObject[key] = parseScalar(value);
+      return;
+    }
+
+    currentKey = key;
+    currentObject = null;
+
+    if (value.trim() === '') {
+      // Either a nested object or a block list follows
+      currentObject = {};
+      data[key] = currentObject;
+    } else {
+      data[key] = parseScalar(value);
+    }
+  });
+
+  return data;
+}
+
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+
+  return {
+    data: parseYaml(match[1].replace(/\r/g, '')),
+    body: source.slice(match[0].length)
+  };
+}
+
+/**
+ * Inline Markup
+ */
+function renderInline(text, context) {
+  const stashed = [];
+
+  // Keep finished markup (code, tags with URLs) away from emphasis parsing
+  const stash = html => {
+    stashed.push(html);
+    return `\u0000${stashed.length - 1}\u0000`;
+  };
+
+  let html = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+    stash(`<code>${escapeHtml(code.trim())}</code>`)
+  );
+
+  html = escapeHtml(html);
+
+  // Images: ![alt](src "title")
+  html = html.replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, alt, src, title) =>
+    stash(`<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`)
+  );
+
+  // Links: [text](href "title")
+  html = html.replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, label, href, title) =>
+    stash(`<a href="${href}"${title ? ` title="${title}"` : ''}>`) + label + stash('</a>')
+  );
+
+  // Autolinks: <https://example.com>
+  html = html.replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (match, url) =>
+    stash(`<a href="${url}">${url}</a>`)
+  );
+
+  // Footnote references: [^id]
+  html = html.replace(/\[\^([^\]\s]+)\]/g, (match, id) => stash(context.footnoteRef(id)));
+
+  // Emphasis
+  html = html
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+  // Hard line breaks: two trailing spaces or a backslash
+  html = html.replace(/( {2,}|\\)\n/g, '<br>\n');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stashed[index]);
+}
+
+/**
+ * Block Markup
+ */
+const patterns = {
+  fence: /^\s*(`{3,}|~{3,})\s*([\w-]*)\s*$/,
+  heading: /^(#{1,6})\s+(.*?)\s*#*\s*$/,
+  rule: /^\s{0,3}([-*_])(\s*\1){2,}\s*$/,
+  blockquote: /^\s{0,3}>\s?/,
+  listItem: /^(\s*)([-*+]|\d+[.)])\s+(.*)$/,
+  html: /^\s{0,3}<\/?(div|section|figure|figcaption|table|thead|tbody|tr|td|th|p|ul|ol|li|pre|h[1-6]|blockquote|hr|iframe|aside|details|summary)\b/i
+};
+
+function isBlockStart(line) {
+  return patterns.fence.test(line) ||
+    patterns.heading.test(line) ||
+    patterns.rule.test(line) ||
+    patterns.blockquote.test(line) ||
+    patterns.listItem.test(line) ||
+    patterns.html.test(line);
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+function renderList(lines, start, context) {
+  const first = lines[start].match(patterns.listItem);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(patterns.listItem);
+    if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+    const contentIndent = match[1].length + match[2].length + 1;
+    const body = [match[3]];
+    i++;
+
+    // Continuation lines belong to the item while indented (or lazily wrapped)
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        const next = lines[i + 1];
+        if (next !== undefined && next.trim() && indentOf(next) >= contentIndent) {
+          body.push('');
+          loose = true;
+          i++;
+          continue;
+        }
+        break;
+      }
+
+      if (indentOf(line) >= contentIndent) {
+        body.push(line.slice(contentIndent));
+      } else if (!isBlockStart(line)) {
+        body.push(line.trim());
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    items.push(body);
+
+    // A blank line between items makes the list loose
+    if (i < lines.length && !lines[i].trim()) {
+      const next = lines[i + 1];
+      const nextMatch = next && next.match(patterns.listItem);
+      if (nextMatch && nextMatch[1].length === baseIndent && /\d/.test(nextMatch[2]) === ordered) {
+        loose = true;
+        i++;
+      }
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+  const html = items.map(body => {
+    let inner = renderBlocks(body, context);
+    if (!loose) {
+      inner = inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+    }
+    return `<li>${inner}</li>`;
+  }).join('');
+
+  return { html: `<${tag}${startAttr}>${html}</${tag}>`, next: i };
+}
+
+function renderBlocks(lines, context) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(patterns.fence);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const langClass = fence[2] ? ` class="language-${fence[2]}"` : '';
+      blocks.push(`<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(patterns.heading);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2], context)}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (patterns.rule.test(line)) {
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (patterns.blockquote.test(line)) {
+      const quote = [];
+      while (i < lines.length && lines[i].trim() && (patterns.blockquote.test(lines[i]) || !isBlockStart(lines[i]))) {
+        quote.push(lines[i].replace(patterns.blockquote, ''));
+        i++;
+      }
+      blocks.push(`<blockquote>${renderBlocks(quote, context)}</blockquote>`);
+      continue;
+    }
+
+    if (patterns.listItem.test(line)) {
+      const list = renderList(lines, i, context);
+      blocks.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    // Raw HTML blocks are passed through until the next blank line
+    if (patterns.html.test(line)) {
+      const raw = [];
+      while (i < lines.length && lines[i].trim()) {
+        raw.push(lines[i]);
+        i++;
+      }
+      blocks.push(raw.join('\n'));
+      continue;
+    }
+
+    // Paragraph
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+      paragraph.push(lines[i].replace(/^\s+/, ''));
+      i++;
+    }
+    blocks.push(`<p>${renderInline(paragraph.join('\n'), context)}</p>`);
+  }
+
+  return blocks.join('');
+}
+
+/**
+ * Footnotes
+ * Definitions ([^id]: text) are collected first, numbered by first reference
+ * and rendered as a back-linked list at the end of the document.
+ */
+function extractFootnotes(lines) {
+  const definitions = new Map();
+  const remaining = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const match = lines[i].match(/^\[\^([^\]\s]+)\]:\s*(.*)$/);
+    if (!match) {
+      remaining.push(lines[i]);
+      i++;
+      continue;
+    }
+
+    const body = [match[2]];
+    i++;
+    while (i < lines.length && (/^\s{2,}\S/.test(lines[i]) || (!lines[i].trim() && /^\s{2,}\S/.test(lines[i + 1] || '')))) {
+      body.push(lines[i].replace(/^\s{2,4}/, ''));
+      i++;
+    }
+    definitions.set(match[1], body);
+  }
+
+  return { definitions, lines: remaining };
+}
+
+function createContext(definitions) {
+  const order = [];
+  const refCounts = new Map();
+
+  return {
+    order,
+    footnoteRef(id) {
+      if (!definitions.has(id)) {
+        return `[^${id}]`;
+      }
+      if (!order.includes(id)) {
+        order.push(id);
+      }
+
+      const number = order.indexOf(id) + 1;
+      const count = (refCounts.get(id) || 0) + 1;
+      refCounts.set(id, count);
+
+      const refId = count === 1 ? `fnref-${number}` : `fnref-${number}-${count}`;
+      return `<sup class="footnote-ref" id="${refId}"><a href="#fn-${number}">${number}</a></sup>`;
+    }
+  };
+}
+
+function renderFootnotes(definitions, context) {
+  // Footnotes that are never referenced are still listed at the end
+  definitions.forEach((body, id) => {
+    if (!context.order.includes(id)) context.order.push(id);
+  });
+
+  if (context.order.length === 0) return '';
+
+  const items = context.order.map((id, index) => {
+    const number = index + 1;
+    const backref = ` <a href="#fnref-${number}" class="footnote-backref" aria-label="Zurück zum Text">↩</a>`;
+    let html = renderBlocks(definitions.get(id), context);
+
+    html = /<\/p>$/.test(html)
+      ? html.replace(/<\/p>$/, `${backref}</p>`)
+      : html + backref;
+
+    return `<li id="fn-${number}">${html}</li>`;
+  });
+
+  return `<section class="footnotes"><hr><ol>${items.join('')}</ol></section>`;
+}
+
+/**
+ * Render Markdown source to HTML
+ */
+function render(source) {
+  const { definitions, lines } = extractFootnotes(
+    String(source || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n')
+  );
+  const context = createContext(definitions);
+  const html = renderBlocks(lines, context);
+
+  return html + renderFootnotes(definitions, context);
+}
+
+module.exports = {
+  escapeHtml,
+  parseFrontMatter,
+  renderInline,
+  render
+};
@@ -0,0 +1,125 @@
+/**
+ * Post Helpers
+ * Reads data/posts.json and the per-post content files for the build scripts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./site');
+
+const POSTS_FILE = path.join(site.root, 'data', 'posts.json');
+const CONTENT_DIR = path.join(site.root, 'data', 'posts');
+const SEARCH_FILE = path.join(site.root, 'data', 'search.json');
+
+// Values of the status front matter field
+const STATUSES = ['draft', 'published', 'unlisted'];
+
+// Site-relative URL of a post's content file
+function contentUrl(post) {
+  return `data/posts/${encodeURIComponent(post.slug)}.json`;
+}
+
+// Post body from the index (monolithic format) or its content file, null if missing
+function readContent(post) {
+  if (typeof post.content === 'string') return post.content;
+  if (!post.contentUrl) return null;
+
+  const file = path.join(site.root, decodeURIComponent(post.contentUrl));
+  if (!fs.existsSync(file)) return null;
+
+  return JSON.parse(fs.readFileSync(file, 'utf8')).content;
+}
+
+// All posts with their content, newest first
+function loadPosts() {
+  const data = JSON.parse(fs.readFileSync(POSTS_FILE, 'utf8'));
+  return (data.posts || [])
+    .map(post => ({ ...post, content: readContent(post) }))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+// Searchable text of a post body
+function toPlainText(html) {
+  return String(html || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Same estimate as utils.calculateReadTime in the browser
+function calculateReadTime(html, wordsPerMinute = 200) {
+  const words = String(html || '').replace(/<[^>]+>/g, ' ').trim().split(/\s+/).length;
+  return `${Math.ceil(words / wordsPerMinute)} min`;
+}
+
+// Mirrors BlogSystem.getReadTime in js/blog.js - stored read time or an estimate
+function getReadTime(post) {
+  return post.readTime || calculateReadTime(post.content || post.excerpt || '');
+}
+
+// Inline content or a content file - build-posts leaves both out for scheduled posts
+function hasContent(post) {
+  return typeof post.content === 'string' || Boolean(post.contentUrl);
+}
+
+// Mirrors PostRepository.getStatus in js/post-repository.js
+function getStatus(post, now = new Date()) {
+  const status = post.status || 'published';
+
+  if (status === 'draft' || !STATUSES.includes(status)) return 'draft';
+  if (post.publishAt && new Date(post.publishAt) > now) return 'scheduled';
+  // Built while still scheduled - the body comes with the next build
+  if (post.publishAt && !hasContent(post)) return 'scheduled';
+
+  return status;
+}
+
+// Published posts go into listings, feeds, the sitemap and post navigation
+function isListed(post, now = new Date()) {
+  return getStatus(post, now) === 'published';
+}
+
+// Mirrors PostRepository.getSeriesParts in js/post-repository.js - parts in reading order
+function getSeriesParts(post, posts) {
+  if (!post.series) return [];
+
+  return posts
+    .filter(candidate => candidate.series && candidate.series.slug === post.series.slug)
+    .sort((a, b) => a.series.part - b.series.part);
+}
+
+function getSeriesTitle(parts) {
+  const titled = parts.find(part => part.series.title);
+  return titled ? titled.series.title : parts[0].series.slug;
+}
+
+// Rewrite relative src/href attributes so content works outside the site
+function absolutizeUrls(html) {
+  return String(html || '').replace(/\s(src|href)="([^"]*)"/g, (match, attr, url) => {
+    if (/^([a-z][a-z0-9+.-]*:|#|\/\/)/i.test(url)) return match;
+    return ` ${attr}="${site.absoluteUrl(url)}"`;
+  });
+}
+
+module.exports = {
+  POSTS_FILE,
+  CONTENT_DIR,
+  SEARCH_FILE,
+  STATUSES,
+  contentUrl,
+  readContent,
+  loadPosts,
+  toPlainText,
+  calculateReadTime,
+  getReadTime,
+  getStatus,
+  isListed,
+  getSeriesParts,
+  getSeriesTitle,
+  absolutizeUrls
+};
@@ -0,0 +1,160 @@
+/**
+ * Sanitize
+ * Build-time counterpart of utils.sanitizeHtml in js/utils.js - same tags,
+ * attributes and URL schemes. Prerendered pages are not sanitized again in
+ * the browser, so raw HTML from Markdown has to be cleaned here.
+ * Works on the markup as text, since there is no DOM in Node.
+ */
+
+const { escapeHtml } = require('./markdown');
+
+// Keep in sync with SANITIZE_ALLOWED_TAGS in js/utils.js
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'article', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'div', 'dl', 'dt',
+  'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins',
+  'kbd', 'li', 'mark', 'ol', 'p', 'pre', 's', 'section', 'small', 'span', 'strong', 'sub',
+  'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+// Keep in sync with SANITIZE_ALLOWED_ATTRIBUTES in js/utils.js
+const ALLOWED_ATTRIBUTES = {
+  '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'aria-label', 'aria-hidden', 'aria-describedby', 'aria-current'],
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height', 'loading'],
+  ol: ['start', 'reversed'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan', 'scope']
+};
+
+// Elements dropped together with their content (others are unwrapped)
+const DROP_TAGS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'frame', 'frameset', 'link', 'meta',
+  'base', 'form', 'input', 'button', 'textarea', 'select', 'svg', 'math', 'template', 'noscript'
+]);
+
+// Content is text up to the closing tag, even if it looks like markup
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'iframe', 'noscript', 'xmp', 'noembed', 'noframes']);
+
+// Elements without a closing tag
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Comments, doctypes and tags - quoted values may contain ">"
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?|\s*\/)*)\s*>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&(lt|gt|quot|apos|amp);/g, (match, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name]);
+}
+
+// Mirrors sanitizeUrl in js/utils.js
+function sanitizeUrl(url) {
+  const value = String(url || '').trim();
+  // Strip control characters and whitespace browsers ignore inside schemes
+  const normalized = value.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+  if (scheme && !['http', 'https', 'mailto', 'tel'].includes(scheme[1])) {
+    return '';
+  }
+  return value;
+}
+
+function isExternalUrl(url, siteUrl) {
+  try {
+    return new URL(url, siteUrl).origin !== new URL(siteUrl).origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+function renderAttributes(tag, source, siteUrl) {
+  const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+  const attributes = new Map();
+
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    let value = decodeEntities(match[2] || match[3] || match[4] || '');
+
+    if (attributes.has(name) || (!allowed.includes(name) && !name.startsWith('data-'))) continue;
+    if (name === 'href' || name === 'src') {
+      value = sanitizeUrl(value);
+      if (!value) continue;
+    }
+    attributes.set(name, value);
+  }
+
+  // External links open in a new tab without access to window.opener
+  if (tag === 'a' && attributes.has('href') && isExternalUrl(attributes.get('href'), siteUrl)) {
+    attributes.set('target', '_blank');
+    attributes.set('rel', 'noopener noreferrer');
+  }
+
+  return [...attributes].map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+// Sanitize HTML against the allowlist above - links are judged relative to siteUrl
+function sanitizeHtml(html, siteUrl) {
+  const source = String(html || '');
+  const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+  let output = '';
+  let position = 0;
+  // Tag whose content is being dropped, and how deep it is nested
+  let dropping = null;
+  let depth = 0;
+  let match;
+
+  // Text outside tags - a stray "<" can't start markup anymore
+  const text = value => value.replace(/</g, '&lt;');
+
+  while ((match = pattern.exec(source))) {
+    const [token, closing, name = '', attributes = ''] = match;
+    const tag = name.toLowerCase();
+
+    if (!dropping) output += text(source.slice(position, match.index));
+    position = match.index + token.length;
+
+    // Comments and doctypes
+    if (!name) continue;
+
+    if (dropping) {
+      if (tag === dropping) depth += closing ? -1 : 1;
+      if (depth === 0) dropping = null;
+      continue;
+    }
+
+    if (DROP_TAGS.has(tag)) {
+      if (closing || VOID_TAGS.has(tag) || /\/\s*$/.test(attributes)) continue;
+
+      if (RAW_TEXT_TAGS.has(tag)) {
+        const end = source.slice(position).search(new RegExp(`</${tag}\\s*>`, 'i'));
+        position = end === -1 ? source.length : source.indexOf('>', position + end) + 1;
+        pattern.lastIndex = position;
+      } else {
+        dropping = tag;
+        depth = 1;
+      }
+      continue;
+    }
+
+    if (!ALLOWED_TAGS.has(tag)) continue;
+
+    output += closing
+      ? `</${tag}>`
+      : `<${tag}${renderAttributes(tag, attributes, siteUrl)}>`;
+  }
+
+  if (!dropping) output += text(source.slice(position));
+  return output;
+}
+
+module.exports = {
+  ALLOWED_TAGS,
+  ALLOWED_ATTRIBUTES,
+  sanitizeUrl,
+  sanitizeHtml
+};
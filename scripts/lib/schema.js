@@ -0,0 +1,101 @@
+/**
+ * JSON Schema Validator
+ * Covers the keywords used in data/*.schema.json - no dependency needed
+ * Supported: $ref (local), type, enum, required, properties, additionalProperties,
+ * items, uniqueItems, minLength, pattern, minimum
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// "#/$defs/post" -> schema.$defs.post
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $ref is supported: ${ref}`);
+  }
+
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) throw new Error(`Unresolved $ref: ${ref}`);
+    return node[key];
+  }, root);
+}
+
+/**
+ * Validate value against schema
+ * Returns a list of { path, message } - path is an array of keys and indices
+ */
+function validate(value, schema, root = schema, path = []) {
+  if (schema.$ref) {
+    return validate(value, resolveRef(root, schema.$ref), root, path);
+  }
+
+  const errors = [];
+  const fail = message => errors.push({ path, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`must be of type ${schema.type}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, root, [...path, index]));
+      });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach(item => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) fail(`contains ${key} more than once`);
+        seen.add(key);
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: [...path, key], message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (schema.properties && schema.properties[key]) {
+        errors.push(...validate(propertyValue, schema.properties[key], root, [...path, key]));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: [...path, key], message: 'is not an allowed property' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validate };
@@ -0,0 +1,36 @@
+/**
+ * Site Configuration
+ * Shared settings for the build scripts
+ */
+
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+module.exports = {
+  root: ROOT,
+  url: 'https://leonerdeg.github.io/leonicworld/',
+  title: "Leonic's World",
+  description: 'Gedanken, Tipps und Geschichten von Leon Erdeg über Web Development, Sprachen und mehr.',
+  language: 'de',
+  author: {
+    name: 'Leon Erdeg',
+    email: 'infoleonicaura@gmail.com'
+  },
+
+  // Relative link to a single post - mirrors BlogSystem.getPostUrl in js/blog.js
+  postPath(post) {
+    if (post.slug && post.status === 'draft') {
+      return `blog-post.html?post=${encodeURIComponent(post.slug)}`;
+    }
+
+    return post.slug
+      ? `blog/${encodeURIComponent(post.slug)}/`
+      : `blog-post.html?id=${encodeURIComponent(post.id)}`;
+  },
+
+  // Resolve a site-relative path to an absolute URL
+  absoluteUrl(relativePath) {
+    return new URL(relativePath, module.exports.url).href;
+  }
+};
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * Lint Posts
+ * Validates data/posts.json against data/posts.schema.json and checks what a
+ * schema can't: unique ids and slugs, real calendar dates, known authors,
+ * images that exist on disk and well-formed HTML in the content
+ *
+ * Usage: node scripts/lint-posts.js [path/to/posts.json]
+ * Exits with 1 if any problem is found
+ */
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./lib/site');
+const { validate } = require('./lib/schema');
+const { POSTS_FILE, readContent, getStatus } = require('./lib/posts');
+const { loadAuthors } = require('./lib/authors');
+
+const SCHEMA_FILE = path.join(site.root, 'data', 'posts.schema.json');
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// A tag with its attributes - quoted values may contain "<" and ">"
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w-]*)(?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*(\/?)>/g;
+
+// "2025-02-30" parses in JS (as March 2nd), so compare the parts
+function isCalendarDate(value) {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && !isNaN(new Date(value));
+}
+
+/**
+ * Unclosed, stray or misnested tags in an HTML fragment
+ * Returns a list of messages
+ */
+function checkHtml(html) {
+  const problems = [];
+  const open = [];
+  const source = html.replace(/<!--[\s\S]*?-->/g, '');
+
+  if (/<!--/.test(source)) {
+    problems.push('unclosed comment');
+  }
+
+  // Whatever still looks like a tag once the complete ones are gone never ends
+  const unterminated = source.replace(TAG_PATTERN, '').match(/<\/?[a-zA-Z][^<>]*/);
+  if (unterminated) {
+    problems.push(`unterminated tag "${unterminated[0].slice(0, 30).trim()}"`);
+  }
+
+  const tagPattern = new RegExp(TAG_PATTERN.source, 'g');
+  let match;
+
+  while ((match = tagPattern.exec(source))) {
+    const [, closing, rawName, selfClosing] = match;
+    const name = rawName.toLowerCase();
+
+    if (VOID_ELEMENTS.has(name) || selfClosing) continue;
+
+    if (!closing) {
+      open.push(name);
+      continue;
+    }
+
+    const index = open.lastIndexOf(name);
+    if (index === -1) {
+      problems.push(`closing </${name}> without an opening tag`);
+    } else {
+      open.splice(index).slice(1).reverse().forEach(unclosed => {
+        problems.push(`<${unclosed}> is not closed before </${name}>`);
+      });
+    }
+  }
+
+  open.reverse().forEach(name => problems.push(`<${name}> is never closed`));
+
+  return problems;
+}
+
+/**
+ * Lint parsed posts data
+ * Returns a list of { post, field, message } - post is null for file-level problems
+ */
+function lint(data, { schema, authors }) {
+  const problems = [];
+  const posts = Array.isArray(data && data.posts) ? data.posts : [];
+
+  validate(data, schema).forEach(({ path: errorPath, message }) => {
+    if (errorPath[0] === 'posts' && typeof errorPath[1] === 'number') {
+      problems.push({ post: posts[errorPath[1]], field: errorPath.slice(2).join('.') || null, message });
+    } else {
+      problems.push({ post: null, field: errorPath.join('.') || null, message });
+    }
+  });
+
+  ['id', 'slug'].forEach(field => {
+    const seen = new Map();
+    posts.forEach(post => {
+      if (post[field] === undefined) return;
+      if (seen.has(post[field])) {
+        problems.push({ post, field, message: `duplicate ${field}, also used by "${seen.get(post[field]).title}"` });
+      } else {
+        seen.set(post[field], post);
+      }
+    });
+  });
+
+  posts.forEach(post => {
+    // minLength in the schema catches "", this catches whitespace only
+    if (typeof post.excerpt === 'string' && post.excerpt && !post.excerpt.trim()) {
+      problems.push({ post, field: 'excerpt', message: 'must not be blank' });
+    }
+
+    ['date', 'publishAt'].forEach(field => {
+      if (typeof post[field] === 'string' && !isCalendarDate(post[field])) {
+        problems.push({ post, field, message: `${post[field]} is not a valid date` });
+      }
+    });
+
+    if (typeof post.author === 'string' && !Object.prototype.hasOwnProperty.call(authors, post.author)) {
+      problems.push({ post, field: 'author', message: `unknown author "${post.author}" - add it to data/authors.json` });
+    }
+
+    if (typeof post.image === 'string' && !/^[a-z][a-z0-9+.-]*:/i.test(post.image) &&
+      !fs.existsSync(path.join(site.root, post.image))) {
+      problems.push({ post, field: 'image', message: `file not found: ${post.image}` });
+    }
+
+    // Inline content (monolithic format) or the post's content file - scheduled posts have neither
+    const content = readContent(post);
+    if (content === null && getStatus(post) !== 'scheduled') {
+      problems.push({
+        post,
+        field: post.contentUrl ? 'contentUrl' : 'content',
+        message: post.contentUrl ? `file not found: ${post.contentUrl}` : 'needs content or a contentUrl'
+      });
+    } else if (content !== null) {
+      checkHtml(content).forEach(message => {
+        problems.push({ post, field: 'content', message: `broken HTML: ${message}` });
+      });
+    }
+  });
+
+  return problems;
+}
+
+function describePost(post) {
+  if (!post) return 'posts file';
+  return `post ${post.id === undefined ? '?' : post.id}${post.slug ? ` (${post.slug})` : ''}`;
+}
+
+function run(file = POSTS_FILE) {
+  const relativeFile = path.relative(site.root, file);
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+
+  const problems = lint(data, { schema, authors: loadAuthors() });
+
+  problems.forEach(({ post, field, message }) => {
+    console.error(`${relativeFile}: ${describePost(post)}${field ? ` › ${field}` : ''}: ${message}`);
+  });
+
+  if (problems.length) {
+    console.error(`\n${problems.length} problem${problems.length === 1 ? '' : 's'} found`);
+    return false;
+  }
+
+  console.log(`${relativeFile}: ${data.posts.length} posts OK`);
+  return true;
+}
+
+if (require.main === module) {
+  try {
+    const file = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+    if (!run(file)) process.exit(1);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { lint, checkHtml, run };
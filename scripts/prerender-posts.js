@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * Prerender Posts
+ * Generates a static page per post at blog/<slug>/index.html from the
+ * blog-post.html template, with title, description, Open Graph / Twitter
+ * tags, canonical URL, structured data and the post body filled in.
+ * SinglePostLoader enhances these pages instead of rendering them again -
+ * so the post body is sanitized here, not in the browser.
+ *
+ * Usage: node scripts/prerender-posts.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./lib/site');
+const { escapeHtml } = require('./lib/markdown');
+const { sanitizeHtml } = require('./lib/sanitize');
+const { loadPosts, getStatus, isListed, getReadTime, getSeriesParts, getSeriesTitle } = require('./lib/posts');
+const { loadAuthors, getAuthor, archivePath } = require('./lib/authors');
+
+const TEMPLATE_FILE = path.join(site.root, 'blog-post.html');
+const OUTPUT_DIR = path.join(site.root, 'blog');
+
+// Same output as utils.formatDate in the browser
+function formatDate(dateString) {
+  return new Date(dateString).toLocaleDateString('de-DE', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+}
+
+// Replace the inner HTML of the first element matched by openTag
+function replaceInner(html, openTag, closeTag, content) {
+  const pattern = new RegExp(`(${openTag})[\\s\\S]*?(${closeTag})`);
+  if (!pattern.test(html)) {
+    throw new Error(`Template element not found: ${openTag}`);
+  }
+  return html.replace(pattern, (match, open, close) => `${open}${content}${close}`);
+}
+
+function setMetaContent(html, selector, value) {
+  const pattern = new RegExp(`(<meta ${selector} content=")[^"]*(")`);
+  return html.replace(pattern, (match, start, end) => `${start}${escapeHtml(value)}${end}`);
+}
+
+function renderHead(post, url, author) {
+  const image = post.image ? site.absoluteUrl(post.image) : null;
+  const authorUrl = site.absoluteUrl(archivePath(author.key));
+  const structuredData = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description: post.excerpt,
+    datePublished: new Date(post.date).toISOString(),
+    author: {
+      '@type': 'Person',
+      name: author.name,
+      url: authorUrl,
+      ...(author.avatar ? { image: site.absoluteUrl(author.avatar) } : {}),
+      ...(author.bio ? { description: author.bio } : {}),
+      ...(author.links.length ? { sameAs: author.links.map(link => link.url) } : {})
+    },
+    mainEntityOfPage: url,
+    url,
+    ...(image ? { image } : {}),
+    keywords: (post.tags || []).join(', ')
+  };
+
+  return `
+  <link rel="canonical" href="${escapeHtml(url)}">${getStatus(post) === 'unlisted' ? '\n  <meta name="robots" content="noindex">' : ''}
+  ${image ? `<meta property="og:image" content="${escapeHtml(image)}">` : ''}
+  <meta property="og:site_name" content="${escapeHtml(site.title)}">
+  <meta property="og:locale" content="de_DE">
+  <meta property="article:published_time" content="${new Date(post.date).toISOString()}">
+  <meta property="article:section" content="${escapeHtml(post.category)}">
+  <meta property="article:author" content="${escapeHtml(authorUrl)}">
+${(post.tags || []).map(tag => `  <meta property="article:tag" content="${escapeHtml(tag)}">`).join('\n')}
+  <meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">
+  <meta name="twitter:title" content="${escapeHtml(post.title)}">
+  <meta name="twitter:description" content="${escapeHtml(post.excerpt)}">
+  ${image ? `<meta name="twitter:image" content="${escapeHtml(image)}">` : ''}
+  <script type="application/ld+json">${JSON.stringify(structuredData).replace(/</g, '\\u003c')}</script>
+`;
+}
+
+// Mirrors AuthorRegistry.createCardHtml in js/authors.js
+function renderAuthorCard(author) {
+  const avatarHtml = author.avatar
+    ? `<img src="${escapeHtml(author.avatar)}" alt="${escapeHtml(author.name)}" class="author-avatar">`
+    : '';
+
+  const linksHtml = author.links.length
+    ? `<ul class="author-links">${author.links.map(link =>
+      `<li><a href="${escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.label)}</a></li>`
+    ).join('')}</ul>`
+    : '';
+
+  return `
+              ${avatarHtml}
+              <div class="author-info">
+                <span>von <a href="${escapeHtml(archivePath(author.key))}" class="author-name">${escapeHtml(author.name)}</a></span>
+                ${author.bio ? `<p class="author-bio">${escapeHtml(author.bio)}</p>` : ''}
+                ${linksHtml}
+              </div>`;
+}
+
+// Mirrors SinglePostLoader.render in js/blog.js
+function renderHeader(post, author) {
+  return `
+        <div class="container">
+          <div class="post-meta">
+            <span class="post-category">${escapeHtml(post.category)}</span>
+            <span class="post-date">${formatDate(post.date)}</span>
+            <span class="post-read-time">${escapeHtml(getReadTime(post))} Lesezeit</span>
+          </div>
+          <h1 class="post-title">${escapeHtml(post.title)}</h1>
+          <div class="post-author author-card">${renderAuthorCard(author)}
+          </div>
+        </div>
+      `;
+}
+
+// Mirrors BlogSystem.createTagLink in js/blog.js
+function renderTagLink(tag) {
+  const slug = String(tag).toLowerCase().replace(/\s+/g, '-');
+  return `<a href="blog.html?tag=${escapeHtml(encodeURIComponent(slug))}" class="tag" data-tag="${escapeHtml(slug)}">${escapeHtml(tag)}</a>`;
+}
+
+// Mirrors SinglePostLoader.setupSeries in js/blog.js
+function renderSeries(post, listed) {
+  const parts = getSeriesParts(post, listed);
+  if (!parts.includes(post)) {
+    parts.push(post);
+    parts.sort((a, b) => a.series.part - b.series.part);
+  }
+
+  const total = Math.max(...parts.map(part => part.series.part));
+  const items = parts.map(part => {
+    const title = `Teil ${escapeHtml(part.series.part)}: ${escapeHtml(part.title)}`;
+    return part === post
+      ? `<li class="current"><span aria-current="page">${title}</span></li>`
+      : `<li><a href="${escapeHtml(site.postPath(part))}">${title}</a></li>`;
+  });
+
+  return `
+            <p class="post-series-label">
+              Teil ${escapeHtml(post.series.part)} von ${total} ·
+              <strong>${escapeHtml(getSeriesTitle(parts))}</strong>
+            </p>
+            <ol class="post-series-list">${items.join('')}</ol>
+          `;
+}
+
+/**
+ * Previous and next post - mirrors PostRepository.adjacent in js/post-repository.js
+ * Series posts move between their parts, all others through the listed posts by date
+ */
+function findNeighbours(post, listed) {
+  const seriesParts = getSeriesParts(post, listed);
+  const inSeries = seriesParts.length > 0;
+  const posts = inSeries ? seriesParts : listed;
+  const index = posts.indexOf(post);
+  const step = inSeries ? -1 : 1;
+
+  // Unlisted and scheduled posts are left out of the prev/next chain
+  if (index === -1) return { prevPost: null, nextPost: null };
+
+  const label = neighbour => neighbour && (inSeries
+    ? `Teil ${neighbour.series.part}: ${neighbour.title}`
+    : neighbour.title);
+
+  return {
+    prevPost: posts[index + step] || null,
+    nextPost: posts[index - step] || null,
+    prevLabel: label(posts[index + step]),
+    nextLabel: label(posts[index - step])
+  };
+}
+
+// Resolve all relative assets and links from the site root
+function addBase(html) {
+  return html.replace('<meta charset="UTF-8">', '<meta charset="UTF-8">\n  <base href="../../">');
+}
+
+/**
+ * Page for a post whose publishAt lies ahead: the empty template, kept out of
+ * search engines. SinglePostLoader loads the post once it's live; the next
+ * build after publishAt prerenders it properly.
+ */
+function renderPlaceholder(template) {
+  return addBase(template).replace('</head>', '  <meta name="robots" content="noindex">\n</head>');
+}
+
+function renderPage(template, post, author, listed) {
+  if (getStatus(post) === 'scheduled') return renderPlaceholder(template);
+
+  const { prevPost, nextPost, prevLabel, nextLabel } = findNeighbours(post, listed);
+  const url = site.absoluteUrl(site.postPath(post));
+  let html = addBase(template);
+
+  // Function replacers throughout - "$&" or "$'" in post data must stay literal
+  html = html.replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(post.title)} | ${escapeHtml(site.title)}</title>`);
+  html = setMetaContent(html, 'name="description"', post.excerpt);
+  html = setMetaContent(html, 'name="author"', author.name);
+  html = setMetaContent(html, 'property="og:title"', post.title);
+  html = setMetaContent(html, 'property="og:description"', post.excerpt);
+  html = setMetaContent(html, 'property="og:url"', url);
+  html = html.replace('</head>', () => `${renderHead(post, url, author)}</head>`);
+
+  html = replaceInner(html, '<header class="post-header">', '</header>', renderHeader(post, author));
+
+  html = post.image
+    ? replaceInner(html, '<div class="post-featured-image">', '</div>',
+      `<img src="${escapeHtml(post.image)}" alt="${escapeHtml(post.title)}">`)
+    : html.replace('<div class="post-featured-image">', '<div class="post-featured-image" style="display: none;">');
+
+  html = html.replace('<div id="post-content" class="post-content glass">', '<div id="post-content" class="post-content glass" data-prerendered>');
+  html = replaceInner(html, '<div id="post-content" class="post-content glass" data-prerendered>', '</div>',
+    post.content ? sanitizeHtml(post.content, site.url) : `<p>${escapeHtml(post.excerpt)}</p>`);
+
+  html = replaceInner(html, '<div class="post-tags">', '</div>',
+    (post.tags || []).map(renderTagLink).join(''));
+
+  if (post.series) {
+    html = html.replace('class="post-series glass" aria-label="Serie" hidden>', 'class="post-series glass" aria-label="Serie">');
+    html = replaceInner(html, '<nav id="post-series" class="post-series glass" aria-label="Serie">', '</nav>',
+      renderSeries(post, listed));
+  }
+
+  html = html.replace('<a href="#" class="nav-prev">← Vorheriger Post</a>', () => (prevPost
+    ? `<a href="${escapeHtml(site.postPath(prevPost))}" class="nav-prev">← ${escapeHtml(prevLabel)}</a>`
+    : '<a href="#" class="nav-prev" style="visibility: hidden;">← Vorheriger Post</a>'));
+  html = html.replace('<a href="#" class="nav-next">Nächster Post →</a>', () => (nextPost
+    ? `<a href="${escapeHtml(site.postPath(nextPost))}" class="nav-next">${escapeHtml(nextLabel)} →</a>`
+    : '<a href="#" class="nav-next" style="visibility: hidden;">Nächster Post →</a>'));
+
+  return html;
+}
+
+function build() {
+  const template = fs.readFileSync(TEMPLATE_FILE, 'utf8');
+  const authors = loadAuthors();
+  // Scheduled posts get a placeholder in advance, without their content
+  const posts = loadPosts().filter(post => post.slug && getStatus(post) !== 'draft');
+  const listed = posts.filter(post => isListed(post));
+
+  // The output directory is fully generated - start from scratch
+  fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+
+  posts.forEach(post => {
+    const dir = path.join(OUTPUT_DIR, post.slug);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, 'index.html'),
+      renderPage(template, post, getAuthor(authors, post.author), listed)
+    );
+  });
+
+  console.log(`Prerendered ${posts.length} posts -> ${path.relative(site.root, OUTPUT_DIR)}/`);
+}
+
+if (require.main === module) {
+  try {
+    build();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { build, renderPage };
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * Comments Server
+ * Reference backend for js/comments.js - stores comments in a JSON file and
+ * serves the site itself, so the blog runs offline with working comments
+ *
+ * Usage: node server/comments-server.js [--port=3001]
+ *
+ * Environment:
+ *   COMMENTS_FILE         Where comments are stored (default server/data/comments.json)
+ *   COMMENTS_MODERATION   "auto" publishes comments that look fine (default),
+ *                         "manual" holds every comment for review
+ *   COMMENTS_ADMIN_TOKEN  Enables the moderation endpoints (Authorization: Bearer <token>)
+ *   ALLOWED_ORIGINS       Comma-separated origins for CORS (default *)
+ *
+ * API:
+ *   GET    /api/comments?post=<key>          Approved comments of a post
+ *   GET    /api/comments?status=pending      Moderation queue (admin)
+ *   POST   /api/comments                     { post, parentId, author, text, website, elapsed }
+ *   PATCH  /api/comments/<id>                { status } (admin)
+ *   DELETE /api/comments/<id>                Comment and its replies (admin)
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError, readJson, clientAddress, createServer } = require('./lib/http');
+const { createStore } = require('./lib/json-store');
+const spam = require('./lib/spam');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Moderation states - only approved comments are public
+const STATUSES = ['pending', 'approved', 'spam'];
+
+const LIMITS = {
+  post: 200,
+  author: 80,
+  text: 2000
+};
+
+// Spam scores from server/lib/spam.js
+const PENDING_SCORE = 2;
+const SPAM_SCORE = 5;
+
+function requireString(body, field, maxLength) {
+  const value = typeof body[field] === 'string' ? body[field].trim() : '';
+  if (!value) throw new HttpError(400, `${field} is required`);
+  if (value.length > maxLength) throw new HttpError(400, `${field} must be at most ${maxLength} characters`);
+  return value;
+}
+
+// What readers get to see - no spam scores
+function toPublic(comment) {
+  const { id, post, parentId, author, text, createdAt, status } = comment;
+  return { id, post, parentId, author, text, createdAt, status };
+}
+
+function createCommentsRoutes({
+  file = process.env.COMMENTS_FILE || path.join(__dirname, 'data', 'comments.json'),
+  moderation = process.env.COMMENTS_MODERATION || 'auto',
+  adminToken = process.env.COMMENTS_ADMIN_TOKEN || '',
+  rateLimit = { limit: 5, windowMs: 10 * 60 * 1000 }
+} = {}) {
+  const store = createStore(file, { comments: [] });
+  const limiter = spam.createRateLimiter(rateLimit);
+
+  function isAdmin(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (!adminToken || scheme !== 'Bearer' || !token) return false;
+
+    const expected = Buffer.from(adminToken);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  function requireAdmin(req) {
+    if (!isAdmin(req)) throw new HttpError(adminToken ? 401 : 403, 'Moderation requires a valid admin token');
+  }
+
+  function findComment(id) {
+    const comment = store.read().comments.find(candidate => candidate.id === id);
+    if (!comment) throw new HttpError(404, 'Comment not found');
+    return comment;
+  }
+
+  async function list(req, { url }) {
+    const post = url.searchParams.get('post');
+    const status = url.searchParams.get('status') || 'approved';
+
+    if (!STATUSES.includes(status)) throw new HttpError(400, `status must be one of ${STATUSES.join(', ')}`);
+    if (status !== 'approved') requireAdmin(req);
+    if (!post && status === 'approved') throw new HttpError(400, 'post is required');
+
+    const comments = store.read().comments
+      .filter(comment => comment.status === status && (!post || comment.post === post))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    return { body: { comments: status === 'approved' ? comments.map(toPublic) : comments } };
+  }
+
+  async function create(req) {
+    if (!limiter.hit(clientAddress(req))) {
+      throw new HttpError(429, 'Too many comments, please wait a few minutes');
+    }
+
+    const body = await readJson(req);
+    const post = requireString(body, 'post', LIMITS.post);
+    const author = requireString(body, 'author', LIMITS.author);
+    const text = requireString(body, 'text', LIMITS.text);
+    const parentId = body.parentId ? String(body.parentId) : null;
+
+    if (parentId) {
+      const parent = store.read().comments.find(comment => comment.id === parentId);
+      if (!parent || parent.post !== post || parent.status !== 'approved') {
+        throw new HttpError(400, 'parentId must be an approved comment of the same post');
+      }
+    }
+
+    const recentTexts = store.read().comments.slice(-200).map(comment => comment.text);
+    const result = spam.score({
+      text,
+      name: author,
+      honeypot: body.website,
+      elapsed: typeof body.elapsed === 'number' ? body.elapsed : null
+    }, { recentTexts });
+
+    let status = 'approved';
+    if (result.score >= SPAM_SCORE) status = 'spam';
+    else if (result.score >= PENDING_SCORE || moderation === 'manual') status = 'pending';
+
+    const comment = {
+      id: crypto.randomUUID(),
+      post,
+      parentId,
+      author,
+      text,
+      createdAt: new Date().toISOString(),
+      status,
+      spam: result
+    };
+
+    await store.update(data => {
+      data.comments.push(comment);
+    });
+
+    // Spam looks like any comment waiting for review, so bots learn nothing
+    return {
+      status: 201,
+      body: { comment: { ...toPublic(comment), status: status === 'spam' ? 'pending' : status } }
+    };
+  }
+
+  async function moderate(req, { params }) {
+    requireAdmin(req);
+
+    const { status } = await readJson(req);
+    if (!STATUSES.includes(status)) throw new HttpError(400, `status must be one of ${STATUSES.join(', ')}`);
+
+    findComment(params.id);
+    const comment = await store.update(data => {
+      const target = data.comments.find(candidate => candidate.id === params.id);
+      target.status = status;
+      return target;
+    });
+
+    return { body: { comment } };
+  }
+
+  async function remove(req, { params }) {
+    requireAdmin(req);
+    findComment(params.id);
+
+    await store.update(data => {
+      const removed = new Set([params.id]);
+      // Replies come after their parent, so one pass catches whole threads
+      data.comments.forEach(comment => {
+        if (comment.parentId && removed.has(comment.parentId)) removed.add(comment.id);
+      });
+      data.comments = data.comments.filter(comment => !removed.has(comment.id));
+    });
+
+    return { status: 204 };
+  }
+
+  return [
+    { method: 'GET', pattern: /^\/api\/comments\/?$/, handler: list },
+    { method: 'POST', pattern: /^\/api\/comments\/?$/, handler: create },
+    { method: 'PATCH', pattern: /^\/api\/comments\/(?<id>[\w-]+)$/, handler: moderate },
+    { method: 'DELETE', pattern: /^\/api\/comments\/(?<id>[\w-]+)$/, handler: remove }
+  ];
+}
+
+function start(port = 3001) {
+  const allowedOrigins = (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim());
+  const server = createServer(createCommentsRoutes(), { root: ROOT, allowedOrigins });
+
+  server.listen(port, () => {
+    console.log(`Comments server running at http://localhost:${port}/`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    const portArg = process.argv.find(arg => arg.startsWith('--port='));
+    start(parseInt(portArg ? portArg.split('=')[1] : process.env.PORT || 3001, 10));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { createCommentsRoutes, start, STATUSES };
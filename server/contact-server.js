@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * Contact Server
+ * Development stand-in for the contact form in js/contact.js - instead of
+ * sending mail it stores every message in a JSON file and serves the site itself
+ *
+ * Usage: node server/contact-server.js [--port=3003]
+ *
+ * Environment:
+ *   CONTACT_FILE             Where messages are stored (default server/data/messages.json)
+ *   CONTACT_POW_DIFFICULTY   Leading zero bits a proof of work needs (default 14, 0 turns it off)
+ *   CONTACT_POW_SECRET       Key for signing challenges (default random per start)
+ *   ALLOWED_ORIGINS          Comma-separated origins for CORS (default *)
+ *
+ * API:
+ *   GET  /api/contact/challenge   { challenge, difficulty, expiresAt } - 404 without proof of work
+ *   POST /api/contact             { name, email, service, message, website, elapsed, challenge, nonce }
+ *                                 plus the fields of SERVICE_FIELDS for the service,
+ *                                 as JSON or form-encoded
+ *
+ * Messages that look like spam are kept (status "spam") but answered with
+ * 422 { error, reason: "spam" }, so the form can tell them from failures.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError, readBody, clientAddress, createServer } = require('./lib/http');
+const { createStore } = require('./lib/json-store');
+const { createProofOfWork } = require('./lib/proof-of-work');
+const spam = require('./lib/spam');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Mirrors the options of #service in contact.html
+const SERVICES = ['language', 'web', 'content', 'products', 'other'];
+
+// Mirrors the service fieldsets in contact.html - options list the allowed values
+const SERVICE_FIELDS = {
+  language: {
+    level: { required: true, options: ['a0', 'a1', 'a2', 'b1', 'b2', 'c1', 'unknown'] },
+    goal: { required: true, options: ['everyday', 'work', 'exam', 'study', 'other'] },
+    times: { maxLength: 200 },
+    package: { required: true, options: ['trial', '5h', '10h'] }
+  },
+  web: {
+    projectType: { required: true, options: ['landing', 'portfolio', 'business', 'webapp', 'redesign', 'other'] },
+    budget: { required: true, options: ['under-500', '500-1500', '1500-3000', 'over-3000', 'unknown'] },
+    deadline: { pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    existingUrl: { maxLength: 300, pattern: /^https?:\/\/\S+\.\S+$/i }
+  },
+  content: {
+    platform: { required: true, options: ['instagram', 'tiktok', 'youtube', 'website', 'other'] },
+    deliverables: { required: true, maxLength: 500 }
+  }
+};
+
+const LIMITS = {
+  name: 100,
+  email: 200,
+  message: 5000
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Score from server/lib/spam.js from which a message counts as spam
+const SPAM_SCORE = 5;
+
+function requireString(body, field, maxLength) {
+  const value = typeof body[field] === 'string' ? body[field].trim() : '';
+  if (!value) throw new HttpError(400, `${field} is required`);
+  if (value.length > maxLength) throw new HttpError(400, `${field} must be at most ${maxLength} characters`);
+  return value;
+}
+
+// The fields for the chosen service - fields of other services are dropped
+function readDetails(body, service) {
+  const details = {};
+
+  Object.entries(SERVICE_FIELDS[service] || {}).forEach(([field, rule]) => {
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (!value) {
+      if (rule.required) throw new HttpError(400, `${field} is required`);
+      return;
+    }
+
+    if (rule.options && !rule.options.includes(value)) {
+      throw new HttpError(400, `${field} must be one of ${rule.options.join(', ')}`);
+    }
+    if (value.length > (rule.maxLength || 100)) {
+      throw new HttpError(400, `${field} must be at most ${rule.maxLength || 100} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) throw new HttpError(400, `${field} is invalid`);
+
+    details[field] = value;
+  });
+
+  return details;
+}
+
+function rejectAsSpam(reason) {
+  return { status: 422, body: { error: `Message rejected as spam: ${reason}`, reason: 'spam' } };
+}
+
+function createContactRoutes({
+  file = process.env.CONTACT_FILE || path.join(__dirname, 'data', 'messages.json'),
+  powDifficulty = parseInt(process.env.CONTACT_POW_DIFFICULTY || '14', 10),
+  powSecret = process.env.CONTACT_POW_SECRET || undefined,
+  rateLimit = { limit: 5, windowMs: 60 * 60 * 1000 }
+} = {}) {
+  const store = createStore(file, { messages: [] });
+  const limiter = spam.createRateLimiter(rateLimit);
+  const proofOfWork = powDifficulty > 0
+    ? createProofOfWork({ difficulty: powDifficulty, secret: powSecret })
+    : null;
+
+  async function challenge() {
+    if (!proofOfWork) throw new HttpError(404, 'Proof of work is turned off');
+    return { body: proofOfWork.issue() };
+  }
+
+  async function create(req) {
+    if (!limiter.hit(clientAddress(req))) {
+      throw new HttpError(429, 'Too many messages, please wait a while');
+    }
+
+    const body = await readBody(req);
+    const name = requireString(body, 'name', LIMITS.name);
+    const email = requireString(body, 'email', LIMITS.email);
+    const message = requireString(body, 'message', LIMITS.message);
+    const service = typeof body.service === 'string' ? body.service.trim() : '';
+
+    if (!EMAIL_PATTERN.test(email)) throw new HttpError(400, 'email must be a valid address');
+    if (!SERVICES.includes(service)) throw new HttpError(400, `service must be one of ${SERVICES.join(', ')}`);
+    const details = readDetails(body, service);
+
+    // Without a solved challenge there is nothing to keep
+    if (proofOfWork) {
+      const refused = proofOfWork.verify(body.challenge, body.nonce);
+      if (refused) return rejectAsSpam(refused);
+    }
+
+    // Form-encoded bodies send the fill time as text
+    const elapsed = body.elapsed === undefined || body.elapsed === '' ? NaN : Number(body.elapsed);
+    const recentTexts = store.read().messages.slice(-200).map(entry => entry.message);
+    const result = spam.score({
+      text: message,
+      name,
+      honeypot: body.website,
+      elapsed: Number.isFinite(elapsed) ? elapsed : null
+    }, { recentTexts });
+
+    const entry = {
+      id: crypto.randomUUID(),
+      name,
+      email,
+      service,
+      details,
+      message,
+      createdAt: new Date().toISOString(),
+      status: result.score >= SPAM_SCORE ? 'spam' : 'received',
+      spam: result
+    };
+
+    // Spam is kept as well, so a false positive can still be found
+    await store.update(data => {
+      data.messages.push(entry);
+    });
+
+    if (entry.status === 'spam') {
+      console.log(`Spam from ${name} <${email}>: ${result.reasons.join(', ')}`);
+      return rejectAsSpam(result.reasons.join(', '));
+    }
+
+    console.log(`New message from ${name} <${email}> about "${service}"`);
+
+    return { status: 201, body: { message: { id: entry.id, createdAt: entry.createdAt } } };
+  }
+
+  return [
+    { method: 'GET', pattern: /^\/api\/contact\/challenge$/, handler: challenge },
+    { method: 'POST', pattern: /^\/api\/contact\/?$/, handler: create }
+  ];
+}
+
+function start(port = 3003) {
+  const allowedOrigins = (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim());
+  const server = createServer(createContactRoutes(), { root: ROOT, allowedOrigins });
+
+  server.listen(port, () => {
+    console.log(`Contact server running at http://localhost:${port}/`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    const portArg = process.argv.find(arg => arg.startsWith('--port='));
+    start(parseInt(portArg ? portArg.split('=')[1] : process.env.PORT || 3003, 10));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { createContactRoutes, start, SERVICES, SERVICE_FIELDS };
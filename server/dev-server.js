@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Dev Server
+ * The site with every local backend on one origin: comments, stats and contact
+ *
+ * Usage: node server/dev-server.js [--port=3000]
+ * Takes the environment variables of the single servers
+ */
+
+const path = require('path');
+const { createServer } = require('./lib/http');
+const { createCommentsRoutes } = require('./comments-server');
+const { createStatsRoutes } = require('./stats-server');
+const { createContactRoutes } = require('./contact-server');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function start(port = 3000) {
+  const allowedOrigins = (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim());
+  const routes = [
+    ...createCommentsRoutes(),
+    ...createStatsRoutes(),
+    ...createContactRoutes()
+  ];
+
+  const server = createServer(routes, { root: ROOT, allowedOrigins });
+  server.listen(port, () => {
+    console.log(`Dev server running at http://localhost:${port}/`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    const portArg = process.argv.find(arg => arg.startsWith('--port='));
+    start(parseInt(portArg ? portArg.split('=')[1] : process.env.PORT || 3000, 10));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { start };
@@ -0,0 +1,218 @@
+/**
+ * HTTP Helpers
+ * Request parsing, JSON responses and static files for the local dev servers
+ * Node's http module only - no dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// Directories below the site root that are never served - server/data holds comments and messages
+const PRIVATE_DIRECTORIES = ['server'];
+
+// Thrown by route handlers - turned into a JSON error response with the given headers
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+// Raw request body as text, at most limit bytes
+function readText(req, limit = 16 * 1024) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let chunks = [];
+
+    req.on('data', chunk => {
+      if (!chunks) return;
+
+      size += chunk.length;
+      if (size > limit) {
+        // Discard the rest - the connection closes once the 413 has been sent,
+        // destroying the request right away would reset it before the client reads the answer
+        chunks = null;
+        reject(new HttpError(413, 'Request body too large', { Connection: 'close' }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => chunks && resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Parsed JSON body, at most limit bytes - always an object, never null or an array
+async function readJson(req, limit = 16 * 1024) {
+  const text = await readText(req, limit);
+  let body;
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch (error) {
+    throw new HttpError(400, 'Invalid JSON');
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Invalid JSON');
+  }
+  return body;
+}
+
+// JSON or form-encoded body, depending on the Content-Type
+async function readBody(req, limit = 16 * 1024) {
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/x-www-form-urlencoded') {
+    return Object.fromEntries(new URLSearchParams(await readText(req, limit)));
+  }
+  return readJson(req, limit);
+}
+
+// Client address for rate limits - X-Forwarded-For only behind a trusted proxy
+function clientAddress(req, trustProxy = false) {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+function corsHeaders(req, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin) return {};
+
+  const allowed = allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+  if (!allowed) return {};
+
+  return {
+    'Access-Control-Allow-Origin': allowedOrigins.includes('*') ? '*' : origin,
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    Vary: 'Origin'
+  };
+}
+
+/**
+ * Serve a file below root - directories serve their index.html
+ * Returns false if nothing was found, so the caller can answer 404
+ */
+function serveStatic(req, res, root) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    return false;
+  }
+
+  const file = path.join(root, pathname);
+  const relative = path.relative(root, file);
+  // Nothing outside the site root, no dotfiles (.git, .env), no server code or data
+  if (relative.startsWith('..') || path.isAbsolute(relative) || /(^|[/\\])\./.test(relative)) return false;
+  if (PRIVATE_DIRECTORIES.includes(relative.split(path.sep)[0].toLowerCase())) return false;
+
+  let target = file;
+  try {
+    if (fs.statSync(target).isDirectory()) {
+      if (!pathname.endsWith('/')) {
+        res.writeHead(301, { Location: `${pathname}/` });
+        res.end();
+        return true;
+      }
+      target = path.join(target, 'index.html');
+    }
+    fs.accessSync(target, fs.constants.R_OK);
+  } catch (error) {
+    return false;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES[path.extname(target).toLowerCase()] || 'application/octet-stream',
+    'Cache-Control': 'no-cache'
+  });
+
+  if (req.method === 'HEAD') {
+    res.end();
+  } else {
+    fs.createReadStream(target).pipe(res);
+  }
+  return true;
+}
+
+/**
+ * HTTP server from a list of routes: { method, pattern, handler(req, { url, params }) }
+ * Patterns are matched against the pathname, named groups become params.
+ * Handlers return { status, body, headers } and throw HttpError for failures;
+ * requests no route matches are served from root, if given.
+ */
+function createServer(routes, { root = null, allowedOrigins = ['*'] } = {}) {
+  return http.createServer(async (req, res) => {
+    const cors = corsHeaders(req, allowedOrigins);
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+
+    const matches = routes
+      .map(route => ({ route, match: url.pathname.match(route.pattern) }))
+      .filter(({ match }) => match);
+    const found = matches.find(({ route }) => route.method === req.method);
+
+    try {
+      if (found) {
+        const result = await found.route.handler(req, { url, params: found.match.groups || {} });
+        sendJson(res, result.status || 200, result.body, { ...cors, ...result.headers });
+        return;
+      }
+
+      if (matches.length) throw new HttpError(405, 'Method not allowed');
+      if (root && serveStatic(req, res, root)) return;
+
+      throw new HttpError(404, 'Not found');
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) console.error(error);
+      if (!res.headersSent) {
+        sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message }, { ...cors, ...error.headers });
+      }
+    }
+  });
+}
+
+module.exports = {
+  HttpError,
+  sendJson,
+  readJson,
+  readBody,
+  clientAddress,
+  serveStatic,
+  createServer
+};
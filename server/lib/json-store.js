@@ -0,0 +1,52 @@
+/**
+ * JSON File Store
+ * Keeps a server's data in one JSON file - good enough for local development
+ * Writes go through a temp file and a rename, so a crash never leaves half a file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createStore(file, defaults = {}) {
+  let data = null;
+  // Updates run one after another, in the order they were made
+  let queue = Promise.resolve();
+
+  function read() {
+    if (data === null) {
+      try {
+        data = { ...defaults, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`Could not read ${file}: ${error.message}`);
+        data = JSON.parse(JSON.stringify(defaults));
+      }
+    }
+    return data;
+  }
+
+  function write() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(temp, file);
+  }
+
+  /**
+   * Change the data and save it
+   * The updater gets the current data and may mutate it; its return value is passed on
+   */
+  function update(updater) {
+    const result = queue.then(() => {
+      const value = updater(read());
+      write();
+      return value;
+    });
+
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return { read, update };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,77 @@
+/**
+ * Proof of Work
+ * Hashcash-style challenges: the client has to find a nonce so that
+ * SHA-256("<challenge>:<nonce>") starts with `difficulty` zero bits.
+ * Cheap for one message, expensive for a bot sending thousands.
+ *
+ * Challenges are signed instead of stored, so issuing one costs nothing;
+ * solved ones are remembered until they expire, so each works only once.
+ */
+
+const crypto = require('crypto');
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+function createProofOfWork({
+  difficulty = 14,
+  ttl = 10 * 60 * 1000,
+  secret = crypto.randomBytes(32)
+} = {}) {
+  const used = new Map();
+
+  function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  // { challenge, difficulty, expiresAt }
+  function issue(now = Date.now()) {
+    const expires = now + ttl;
+    const payload = `${expires}.${crypto.randomBytes(12).toString('base64url')}`;
+
+    return {
+      challenge: `${payload}.${sign(payload)}`,
+      difficulty,
+      expiresAt: new Date(expires).toISOString()
+    };
+  }
+
+  // Returns null for a valid solution, otherwise why it was refused
+  function verify(challenge, nonce, now = Date.now()) {
+    if (typeof challenge !== 'string' || challenge.length > 200) return 'missing challenge';
+    if (!/^\d{1,12}$/.test(String(nonce))) return 'missing nonce';
+
+    const [expires, random, signature] = challenge.split('.');
+    if (!expires || !random || !signature) return 'malformed challenge';
+
+    const expected = Buffer.from(sign(`${expires}.${random}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return 'invalid signature';
+
+    if (Number(expires) < now) return 'challenge expired';
+    if (used.has(challenge)) return 'challenge already used';
+
+    const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (leadingZeroBits(hash) < difficulty) return 'insufficient work';
+
+    used.set(challenge, Number(expires));
+    used.forEach((usedExpires, usedChallenge) => {
+      if (usedExpires < now) used.delete(usedChallenge);
+    });
+    return null;
+  }
+
+  return { difficulty, issue, verify };
+}
+
+module.exports = { createProofOfWork, leadingZeroBits };
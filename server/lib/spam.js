@@ -0,0 +1,92 @@
+/**
+ * Spam Heuristics
+ * Scores user submitted text - no single rule decides, the sum does
+ */
+
+const BLOCKED_WORDS = [
+  'casino', 'viagra', 'cialis', 'porn', 'bitcoin', 'forex', 'loan',
+  'seo service', 'backlinks', 'escort', 'betting'
+];
+
+// Whole words only - "Ansporn" or "escorted" are no spam
+const BLOCKED_PATTERNS = BLOCKED_WORDS.map(word => ({ word, pattern: new RegExp(`\\b${word}\\b`) }));
+
+// Below this, a human can't have read the post and typed an answer (ms)
+const MIN_FILL_TIME = 3000;
+
+/**
+ * Score a submission: { text, name, honeypot, elapsed }
+ * recentTexts are earlier submissions to catch copy-paste floods
+ * Returns { score, reasons }
+ */
+function score({ text = '', name = '', honeypot = '', elapsed = null }, { recentTexts = [] } = {}) {
+  const reasons = [];
+  let total = 0;
+  const add = (points, reason) => {
+    total += points;
+    reasons.push(reason);
+  };
+
+  // Hidden field only bots fill in
+  if (honeypot) add(10, 'honeypot filled');
+
+  if (typeof elapsed === 'number' && elapsed < MIN_FILL_TIME) add(3, 'submitted too fast');
+
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 2) add(links - 2, `${links} links`);
+  if (/https?:\/\/|www\./i.test(name)) add(3, 'link in name');
+
+  const lower = `${name} ${text}`.toLowerCase();
+  BLOCKED_PATTERNS
+    .filter(({ pattern }) => pattern.test(lower))
+    .forEach(({ word }) => add(3, `blocked word "${word}"`));
+
+  const letters = text.replace(/[^a-zA-ZäöüÄÖÜß]/g, '');
+  if (letters.length > 20 && letters.replace(/[^A-ZÄÖÜ]/g, '').length / letters.length > 0.7) {
+    add(1, 'mostly uppercase');
+  }
+
+  if (/(.)\1{9,}/.test(text)) add(1, 'repeated characters');
+
+  const normalized = normalize(text);
+  if (normalized && recentTexts.some(recent => normalize(recent) === normalized)) {
+    add(3, 'duplicate text');
+  }
+
+  return { score: total, reasons };
+}
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Fixed window rate limit per key (e.g. client address)
+ * hit(key) counts a request and returns false once the limit is exceeded
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  return {
+    hit(key, now = Date.now()) {
+      const current = windows.get(key);
+
+      if (!current || now - current.start >= windowMs) {
+        windows.set(key, { start: now, count: 1 });
+
+        // Drop expired windows now and then, so the map doesn't grow forever
+        if (windows.size > 1000) {
+          windows.forEach((entry, entryKey) => {
+            if (now - entry.start >= windowMs) windows.delete(entryKey);
+          });
+        }
+        return true;
+      }
+
+      current.count++;
+      return current.count <= limit;
+    }
+  };
+}
+
+module.exports = { score, createRateLimiter, MIN_FILL_TIME };
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Stats Server
+ * Stand-in backend for the view counters and reactions in js/post-stats.js -
+ * stores counts in a JSON file and serves the site itself
+ *
+ * Usage: node server/stats-server.js [--port=3002]
+ *
+ * Environment:
+ *   STATS_FILE        Where counts are stored (default server/data/stats.json)
+ *   ALLOWED_ORIGINS   Comma-separated origins for CORS (default *)
+ *
+ * API:
+ *   GET  /api/stats?posts=<key>,<key>       { stats: { <key>: { views, reactions } } }
+ *   POST /api/stats/<key>/views             Count a view
+ *   POST /api/stats/<key>/reactions         { reaction, previous } - either may be null
+ */
+
+const path = require('path');
+const { HttpError, readJson, clientAddress, createServer } = require('./lib/http');
+const { createStore } = require('./lib/json-store');
+const { createRateLimiter } = require('./lib/spam');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Mirrors PostStats.REACTIONS in js/post-stats.js
+const REACTIONS = ['like', 'love', 'insight'];
+
+// Post slugs or ids - also keeps keys like __proto__ out of the stored object
+const KEY_PATTERN = /^[\w-]{1,200}$/;
+const MAX_KEYS_PER_REQUEST = 100;
+
+// A reload within this time doesn't count as another view (ms)
+const VIEW_WINDOW = 30 * 60 * 1000;
+
+function emptyStats() {
+  return { views: 0, reactions: {} };
+}
+
+// Own properties only - "constructor" is a valid key, too
+function hasEntry(posts, key) {
+  return Object.prototype.hasOwnProperty.call(posts, key);
+}
+
+function getEntry(posts, key) {
+  if (!hasEntry(posts, key)) posts[key] = emptyStats();
+  return posts[key];
+}
+
+function parseKey(value) {
+  let key;
+  try {
+    key = decodeURIComponent(value || '').trim();
+  } catch (error) {
+    key = '';
+  }
+
+  if (!KEY_PATTERN.test(key) || key === '__proto__') throw new HttpError(400, 'Invalid post key');
+  return key;
+}
+
+function parseReaction(value, field) {
+  if (value === null || value === undefined) return null;
+  if (!REACTIONS.includes(value)) throw new HttpError(400, `${field} must be one of ${REACTIONS.join(', ')} or null`);
+  return value;
+}
+
+function createStatsRoutes({
+  file = process.env.STATS_FILE || path.join(__dirname, 'data', 'stats.json'),
+  rateLimit = { limit: 60, windowMs: 10 * 60 * 1000 }
+} = {}) {
+  const store = createStore(file, { posts: {} });
+  const limiter = createRateLimiter(rateLimit);
+  const recentViews = new Map();
+
+  function checkRate(req) {
+    if (!limiter.hit(clientAddress(req))) throw new HttpError(429, 'Too many requests');
+  }
+
+  // Counts one view per address and post within VIEW_WINDOW
+  function isRepeatedView(address, key, now = Date.now()) {
+    const id = `${address}\n${key}`;
+    const last = recentViews.get(id);
+    recentViews.set(id, now);
+
+    if (recentViews.size > 10000) {
+      recentViews.forEach((time, viewId) => {
+        if (now - time >= VIEW_WINDOW) recentViews.delete(viewId);
+      });
+    }
+
+    return last !== undefined && now - last < VIEW_WINDOW;
+  }
+
+  async function list(req, { url }) {
+    const keys = (url.searchParams.get('posts') || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(key => KEY_PATTERN.test(key))
+      .slice(0, MAX_KEYS_PER_REQUEST);
+
+    const posts = store.read().posts;
+    const stats = {};
+    keys.forEach(key => {
+      if (hasEntry(posts, key)) stats[key] = posts[key];
+    });
+
+    return { body: { stats } };
+  }
+
+  async function view(req, { params }) {
+    const key = parseKey(params.post);
+    checkRate(req);
+
+    if (isRepeatedView(clientAddress(req), key)) {
+      const posts = store.read().posts;
+      return { body: { stats: hasEntry(posts, key) ? posts[key] : emptyStats() } };
+    }
+
+    const stats = await store.update(data => {
+      const entry = getEntry(data.posts, key);
+      entry.views++;
+      return entry;
+    });
+
+    return { body: { stats } };
+  }
+
+  // The visitor's previous reaction is taken back, so switching doesn't inflate counts
+  async function react(req, { params }) {
+    const key = parseKey(params.post);
+    checkRate(req);
+
+    const body = await readJson(req);
+    const reaction = parseReaction(body.reaction, 'reaction');
+    const previous = parseReaction(body.previous, 'previous');
+
+    const stats = await store.update(data => {
+      const entry = getEntry(data.posts, key);
+
+      if (previous && entry.reactions[previous]) {
+        entry.reactions[previous]--;
+        if (entry.reactions[previous] === 0) delete entry.reactions[previous];
+      }
+      if (reaction) {
+        entry.reactions[reaction] = (entry.reactions[reaction] || 0) + 1;
+      }
+      return entry;
+    });
+
+    return { body: { stats } };
+  }
+
+  return [
+    { method: 'GET', pattern: /^\/api\/stats\/?$/, handler: list },
+    { method: 'POST', pattern: /^\/api\/stats\/(?<post>[^/]+)\/views$/, handler: view },
+    { method: 'POST', pattern: /^\/api\/stats\/(?<post>[^/]+)\/reactions$/, handler: react }
+  ];
+}
+
+function start(port = 3002) {
+  const allowedOrigins = (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim());
+  const server = createServer(createStatsRoutes(), { root: ROOT, allowedOrigins });
+
+  server.listen(port, () => {
+    console.log(`Stats server running at http://localhost:${port}/`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    const portArg = process.argv.find(arg => arg.startsWith('--port='));
+    start(parseInt(portArg ? portArg.split('=')[1] : process.env.PORT || 3002, 10));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { createStatsRoutes, start, REACTIONS };
@@ -0,0 +1,26 @@
+/**
+ * Service Worker
+ * Sends contact messages queued in js/contact-outbox.js once the browser is
+ * back online (Background Sync) - even when the page is already closed
+ */
+
+// The site's scripts export to window - in the worker that's the global scope
+self.window = self;
+importScripts('js/contact.js', 'js/contact-outbox.js');
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== ContactOutbox.SYNC_TAG) return;
+
+  // A rejected sync is retried by the browser later
+  event.waitUntil(ContactOutbox.flush().then(({ remaining }) => {
+    if (remaining) throw new Error(`${remaining} contact messages still waiting`);
+  }));
+});
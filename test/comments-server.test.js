@@ -0,0 +1,80 @@
+/**
+ * Comments Server
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../server/lib/http');
+const { createCommentsRoutes } = require('../server/comments-server');
+
+// Laid out like the repo: the store lives in server/data below the site root
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comments-'));
+const file = path.join(dir, 'server', 'data', 'comments.json');
+const server = createServer(createCommentsRoutes({ file, adminToken: 'secret' }), { root: dir });
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function request(method, pathname, body, headers = {}) {
+  return fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body
+  });
+}
+
+test('a body that is not a JSON object is a bad request, not a server error', async () => {
+  for (const body of ['null', '42', '"text"', '[]']) {
+    const response = await request('POST', '/api/comments', body);
+    assert.strictEqual(response.status, 400, `POST ${body}`);
+    assert.deepStrictEqual(await response.json(), { error: 'Invalid JSON' });
+  }
+});
+
+test('moderation rejects a null body as well', async () => {
+  const response = await request('PATCH', '/api/comments/some-id', 'null', { Authorization: 'Bearer secret' });
+  assert.strictEqual(response.status, 400);
+});
+
+test('an oversized body gets a 413 answer instead of a reset connection', async () => {
+  const body = JSON.stringify({ status: 'approved', padding: 'x'.repeat(1024 * 1024) });
+  const response = await request('PATCH', '/api/comments/some-id', body, { Authorization: 'Bearer secret' });
+
+  assert.strictEqual(response.status, 413);
+  assert.strictEqual(response.headers.get('connection'), 'close');
+  assert.deepStrictEqual(await response.json(), { error: 'Request body too large' });
+});
+
+test('a valid comment is still accepted', async () => {
+  const response = await request('POST', '/api/comments', JSON.stringify({
+    post: 'test-post',
+    author: 'Anna',
+    text: 'Schöner Beitrag, danke!',
+    elapsed: 20000
+  }));
+  assert.strictEqual(response.status, 201);
+});
+
+test('the comments store is not served as a static file', async () => {
+  fs.writeFileSync(path.join(dir, 'index.html'), '<h1>Blog</h1>');
+  assert.ok(fs.existsSync(file), 'the store was written by the tests above');
+
+  assert.strictEqual((await request('GET', '/')).status, 200);
+  assert.strictEqual((await request('GET', '/server/data/comments.json')).status, 404);
+  assert.strictEqual((await request('GET', '/Server/data/comments.json')).status, 404);
+  assert.strictEqual((await request('GET', '/server/../server/data/comments.json')).status, 404);
+});
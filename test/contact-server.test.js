@@ -0,0 +1,64 @@
+/**
+ * Contact Server
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../server/lib/http');
+const { createContactRoutes } = require('../server/contact-server');
+
+// Laid out like the repo: the store lives in server/data below the site root
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-'));
+const file = path.join(dir, 'server', 'data', 'messages.json');
+const server = createServer(createContactRoutes({ file, powDifficulty: 0 }), { root: dir });
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function post(body, type = 'application/json') {
+  return fetch(`${baseUrl}/api/contact`, { method: 'POST', headers: { 'Content-Type': type }, body });
+}
+
+test('a body that is not a JSON object is a bad request, not a server error', async () => {
+  for (const body of ['null', '42', '"text"', '[]']) {
+    const response = await post(body);
+    assert.strictEqual(response.status, 400, `POST ${body}`);
+    assert.deepStrictEqual(await response.json(), { error: 'Invalid JSON' });
+  }
+});
+
+test('form-encoded messages are still accepted', async () => {
+  const body = new URLSearchParams({
+    name: 'Anna',
+    email: 'anna@example.com',
+    service: 'other',
+    message: 'Hallo, ich habe eine Frage zu deinen Services.',
+    elapsed: '20000'
+  });
+
+  const response = await post(body.toString(), 'application/x-www-form-urlencoded');
+  assert.strictEqual(response.status, 201);
+});
+
+test('the message store is not served as a static file', async () => {
+  fs.writeFileSync(path.join(dir, 'contact.html'), '<h1>Kontakt</h1>');
+  assert.ok(fs.existsSync(file), 'the store was written by the tests above');
+
+  assert.strictEqual((await fetch(`${baseUrl}/contact.html`)).status, 200);
+  assert.strictEqual((await fetch(`${baseUrl}/server/data/messages.json`)).status, 404);
+  assert.strictEqual((await fetch(`${baseUrl}/server/data/`)).status, 404);
+});
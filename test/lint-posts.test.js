@@ -0,0 +1,60 @@
+/**
+ * Lint Posts
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const site = require('../scripts/lib/site');
+const { loadAuthors } = require('../scripts/lib/authors');
+const { checkHtml, lint, run } = require('../scripts/lint-posts');
+
+const schema = JSON.parse(fs.readFileSync(path.join(site.root, 'data', 'posts.schema.json'), 'utf8'));
+
+test('the committed posts pass the linter', () => {
+  assert.strictEqual(run(), true);
+});
+
+test('">" inside a quoted attribute value is not the end of the tag', () => {
+  assert.deepStrictEqual(checkHtml('<p title="a > b">Text</p>'), []);
+  assert.deepStrictEqual(checkHtml('<a href="?q=<b>" data-x=\'>\'>Link</a>'), []);
+});
+
+test('broken markup is still reported', () => {
+  assert.deepStrictEqual(checkHtml('<p>Text</p><div class="x"'), ['unterminated tag "<div class="x""']);
+  assert.deepStrictEqual(checkHtml('<p><b>Text</p>'), ['<b> is not closed before </p>']);
+});
+
+test('an unclosed tag with a long attribute run is checked in linear time', () => {
+  // A backtracking pattern blocks the event loop, so the check runs in a child with a hard limit
+  const { spawnSync } = require('child_process');
+  const script = `
+    const { checkHtml } = require(${JSON.stringify(require.resolve('../scripts/lint-posts'))});
+    checkHtml('<p>x</p><div class=x ' + 'a'.repeat(10000));
+    checkHtml('<div' + ' a'.repeat(10000));
+  `;
+  const result = spawnSync(process.execPath, ['-e', script], { timeout: 5000 });
+
+  assert.strictEqual(result.signal, null, 'checkHtml did not finish within 5 seconds');
+  assert.strictEqual(result.status, 0, String(result.stderr));
+});
+
+test('scheduled posts need no content, published ones still do', () => {
+  const post = {
+    id: 99,
+    slug: 'bald',
+    title: 'Bald',
+    date: '2025-01-01',
+    author: Object.keys(loadAuthors())[0],
+    category: 'Gedanken',
+    tags: [],
+    excerpt: 'Kommt bald'
+  };
+  const check = fields => lint({ posts: [{ ...post, ...fields }] }, { schema, authors: loadAuthors() })
+    .map(problem => problem.message);
+
+  assert.deepStrictEqual(check({ publishAt: '2999-01-01' }), []);
+  assert.deepStrictEqual(check({}), ['needs content or a contentUrl']);
+});
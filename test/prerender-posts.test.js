@@ -0,0 +1,104 @@
+/**
+ * Prerender Posts
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const site = require('../scripts/lib/site');
+const markdown = require('../scripts/lib/markdown');
+const { renderPage } = require('../scripts/prerender-posts');
+
+const template = fs.readFileSync(path.join(site.root, 'blog-post.html'), 'utf8');
+const author = { key: 'leon', name: 'Leon Erdeg', bio: '', avatar: null, links: [] };
+
+function createPost(fields = {}) {
+  return {
+    id: 1,
+    slug: 'test-post',
+    title: 'Test',
+    excerpt: 'Ein Test',
+    date: '2025-01-01',
+    category: 'Test',
+    tags: [],
+    content: '<p>Hallo</p>',
+    ...fields
+  };
+}
+
+// The prerendered body, up to the tags below it
+function postContent(html) {
+  return html.slice(html.indexOf('data-prerendered>'), html.indexOf('<div class="post-tags">'));
+}
+
+test('raw HTML from Markdown loses its event handlers', () => {
+  const content = markdown.render('<div onmouseover="alert(document.cookie)">Hover</div>\n\nText');
+  const html = renderPage(template, createPost({ content }), author, []);
+
+  assert.ok(content.includes('onmouseover'), 'Markdown passes raw HTML through');
+  assert.ok(!html.includes('onmouseover'));
+  assert.ok(html.includes('<div>Hover</div>'));
+});
+
+test('scripts, javascript: URLs and unknown tags are removed from the body', () => {
+  const content = [
+    '<p>Vorher</p>',
+    '<script>alert(1)</script>',
+    '<a href="javascript:alert(1)" title="a > b">Link</a>',
+    '<img src=x onerror=alert(1)>',
+    '<marquee>Laufschrift</marquee>'
+  ].join('');
+  const html = postContent(renderPage(template, createPost({ content }), author, []));
+
+  assert.ok(!html.includes('alert(1)'));
+  assert.ok(html.includes('<a title="a &gt; b">Link</a>'));
+  assert.ok(html.includes('<img src="x">'));
+  assert.ok(html.includes('Laufschrift') && !html.includes('<marquee'));
+});
+
+test('replacement patterns in post data stay literal', () => {
+  const post = createPost({ title: "Test $' title $&", excerpt: 'Kosten: $` und $$' });
+  const neighbour = createPost({ id: 2, slug: 'neighbour', title: "Nachbar $'", date: '2024-12-01' });
+  const html = renderPage(template, post, author, [post, neighbour]);
+
+  assert.ok(html.includes("<title>Test $' title $&amp; |"));
+  assert.ok(html.includes('content="Kosten: $` und $$"'));
+  assert.ok(html.includes("class=\"nav-prev\">← Nachbar $'</a>"));
+  assert.strictEqual(html.split('</head>').length, 2);
+  assert.ok(html.length < template.length * 2);
+});
+
+test('the read time is estimated like BlogSystem.getReadTime without a stored one', () => {
+  const words = Array.from({ length: 450 }, () => 'Wort').join(' ');
+  const estimated = renderPage(template, createPost({ content: `<p>${words}</p>` }), author, []);
+  const stored = renderPage(template, createPost({ readTime: '7 min' }), author, []);
+
+  assert.ok(estimated.includes('<span class="post-read-time">3 min Lesezeit</span>'));
+  assert.ok(stored.includes('<span class="post-read-time">7 min Lesezeit</span>'));
+});
+
+test('scheduled posts get a placeholder without their content', () => {
+  const post = createPost({ title: 'Geheimer Titel', content: '<p>Noch geheim</p>', publishAt: '2999-01-01T00:00:00Z' });
+  const html = renderPage(template, post, author, []);
+
+  assert.ok(html.includes('<meta name="robots" content="noindex">'));
+  assert.ok(html.includes('<base href="../../">'));
+  assert.ok(!html.includes('Geheimer Titel'));
+  assert.ok(!html.includes('Noch geheim'));
+  assert.ok(!html.includes('data-prerendered'));
+});
+
+test('an unclosed tag with a long attribute run is sanitized in linear time', () => {
+  // A backtracking pattern blocks the event loop, so the build runs in a child with a hard limit
+  const { spawnSync } = require('child_process');
+  const script = `
+    const { sanitizeHtml } = require(${JSON.stringify(require.resolve('../scripts/lib/sanitize'))});
+    sanitizeHtml('<div class=x ' + 'a'.repeat(10000), 'https://example.com/');
+  `;
+  const result = spawnSync(process.execPath, ['-e', script], { timeout: 5000 });
+
+  assert.strictEqual(result.signal, null, 'sanitizeHtml did not finish within 5 seconds');
+  assert.strictEqual(result.status, 0, String(result.stderr));
+});
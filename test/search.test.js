@@ -0,0 +1,28 @@
+/**
+ * Blog Search
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// js/search.js is a browser script - it exports to window
+const context = vm.createContext({});
+context.window = context;
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'search.js'), 'utf8'), context);
+const { BlogSearch } = context;
+
+test('stem strips one ending, the longest that fits', () => {
+  assert.strictEqual(BlogSearch.stem('lernen'), 'lern');
+  assert.strictEqual(BlogSearch.stem('kindern'), 'kind');
+  assert.strictEqual(BlogSearch.stem('tipps'), 'tipp');
+  assert.strictEqual(BlogSearch.stem('lernt'), 'lernt');
+});
+
+test('inflected forms still share a stem', () => {
+  assert.strictEqual(BlogSearch.stem('lernen'), BlogSearch.stem('lerne'));
+  assert.notStrictEqual(BlogSearch.stem('lernen'), BlogSearch.stem('leer'));
+});
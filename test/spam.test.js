@@ -0,0 +1,19 @@
+/**
+ * Spam Heuristics
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { score } = require('../server/lib/spam');
+
+test('blocked words only count as whole words', () => {
+  assert.deepStrictEqual(score({ text: 'Danke für den Ansporn, das hat mich motiviert!' }).reasons, []);
+  assert.deepStrictEqual(score({ text: 'Wir haben die Gäste zum Schloss escorted.' }).reasons, []);
+  assert.deepStrictEqual(score({ text: 'Super Beitrag über Krypto und crypto-Projekte.' }).reasons, []);
+
+  assert.deepStrictEqual(score({ text: 'Best online casino, cheap loan!' }).reasons, [
+    'blocked word "casino"',
+    'blocked word "loan"'
+  ]);
+});